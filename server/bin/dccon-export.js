@@ -0,0 +1,455 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+  buildArchiveBasename,
+  downloadDcConPackage,
+} = require('../src/dcconDownloader');
+const {
+  normalizeNameMode,
+  validateTemplate,
+} = require('../src/filenameTemplate');
+const { getOutputContainer } = require('../src/outputContainers');
+const {
+  normalizeBackgroundOption,
+  normalizeCompressionLevel,
+  normalizeContainerName,
+  normalizeFitOption,
+  normalizeFormatOption,
+  normalizeIndexOption,
+  normalizeJobOptions,
+  normalizeMaxBytesOption,
+  normalizePresetOption,
+  normalizeQualityOption,
+  normalizeResizeOption,
+  normalizeSizesOption,
+} = require('../src/jobOptions');
+const {
+  extractPackageId,
+  formatBytes,
+  parsePositiveInteger,
+} = require('../src/utils');
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_PARTIAL = 3;
+const EXIT_INTERRUPTED = 130;
+
+const USAGE = `사용법: dccon-export [옵션] <url-or-id...>
+
+디시콘 패키지를 내려받아 ZIP 파일이나 폴더 등으로 저장합니다.
+URL이나 ID를 '-'로 주거나 인자 없이 파이프로 넘기면 표준 입력에서 읽습니다.
+
+옵션:
+  -o, --out-dir <dir>      저장할 디렉터리 (기본값: 현재 디렉터리)
+  -i, --input <file>       URL/ID 목록 파일 ('-'는 표준 입력, 한 줄에 하나, #으로 시작하면 주석)
+  -r, --resize <size>      리사이즈할 크기: 128 또는 128x96 (한 변 16~512)
+      --sizes <list>       여러 크기를 폴더별로 저장: 64,128,original (최대 4개)
+      --fit <mode>         맞춤 방식 (contain, cover, fill, inside; 기본값: contain)
+      --background <color> 맞춤 여백 색 (#rrggbb, 생략하면 투명)
+      --trim               가장자리의 빈 여백을 잘라냄
+  -f, --format <format>    출력 형식 (png, webp, gif, apng)
+  -q, --quality <1-100>    인코딩 품질
+      --lossless           무손실로 인코딩
+      --max-bytes <size>   이미지 한 장의 최대 용량 (예: 256KB, 1MB)
+                           넘으면 무손실 압축, 품질, 색 수, 프레임 순으로 줄임
+  -p, --preset <name>      내보내기 프리셋 (discord, slack, telegram)
+  -u, --unpacked           ZIP 대신 폴더로 저장
+  -k, --container <type>   결과 형식 (zip, tar.gz, sprite, html; 기본값: zip)
+                           sprite는 PNG 한 장과 좌표 JSON(manifest.json 없음),
+                           html은 이미지와 manifest를 담은 갤러리 파일
+  -z, --compression <0-9>  ZIP/tar.gz 압축 수준 (ZIP 기본값: 0 = 압축 없이 저장)
+  -x, --index <csv|html>   manifest.json과 함께 목록 파일을 추가
+      --name-template <t>  이미지 파일 이름 템플릿 (기본값: {sort}_{title}.{ext})
+                           {sort}, {sort:4}, {idx}, {title}, {package}, {packageId}, {ext}
+      --archive-template <t>  ZIP/폴더 이름 템플릿 (기본값: {package}_{packageId})
+      --name-mode <mode>   이름 표기 (original, romanize, slug)
+  -c, --concurrency <n>    동시에 받을 이미지 수 (기본값: IMAGE_CONCURRENCY 또는 4)
+  -s, --silent             진행 상황을 출력하지 않음
+  -h, --help               이 도움말을 출력
+
+종료 코드:
+  0  모두 저장함
+  1  하나 이상의 패키지를 받지 못함
+  2  잘못된 인자나 입력
+  3  저장은 했지만 일부 이미지가 빠짐
+  130  중단됨`;
+
+const ARG_OPTIONS = {
+  'out-dir': { type: 'string', short: 'o', default: '.' },
+  input: { type: 'string', short: 'i' },
+  resize: { type: 'string', short: 'r' },
+  sizes: { type: 'string' },
+  fit: { type: 'string' },
+  background: { type: 'string' },
+  trim: { type: 'boolean', default: false },
+  format: { type: 'string', short: 'f' },
+  quality: { type: 'string', short: 'q' },
+  'max-bytes': { type: 'string' },
+  lossless: { type: 'boolean', default: false },
+  preset: { type: 'string', short: 'p' },
+  unpacked: { type: 'boolean', short: 'u', default: false },
+  container: { type: 'string', short: 'k' },
+  compression: { type: 'string', short: 'z' },
+  index: { type: 'string', short: 'x' },
+  'name-template': { type: 'string' },
+  'archive-template': { type: 'string' },
+  'name-mode': { type: 'string' },
+  concurrency: { type: 'string', short: 'c' },
+  silent: { type: 'boolean', short: 's', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+function createUsageError(message) {
+  const error = new Error(message);
+  error.exitCode = EXIT_USAGE;
+  return error;
+}
+
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: ARG_OPTIONS,
+      allowPositionals: true,
+    });
+  } catch (error) {
+    throw createUsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const checks = [
+    ['resize', normalizeResizeOption],
+    ['sizes', normalizeSizesOption],
+    ['fit', normalizeFitOption],
+    ['background', normalizeBackgroundOption],
+    ['format', normalizeFormatOption],
+    ['quality', normalizeQualityOption],
+    ['max-bytes', normalizeMaxBytesOption],
+    ['preset', normalizePresetOption],
+    ['index', normalizeIndexOption],
+    ['container', normalizeContainerName],
+    ['compression', normalizeCompressionLevel],
+  ];
+  checks.forEach(([name, normalize]) => {
+    if (values[name] !== undefined && normalize(values[name]) === null) {
+      throw createUsageError(
+        `--${name} 값이 올바르지 않습니다: ${values[name]}`,
+      );
+    }
+  });
+  if (
+    values.unpacked &&
+    values.container !== undefined &&
+    normalizeContainerName(values.container) !== 'zip'
+  ) {
+    throw createUsageError('--unpacked와 --container는 함께 쓸 수 없습니다.');
+  }
+  [
+    ['name-template', 'entry'],
+    ['archive-template', 'archive'],
+  ].forEach(([name, kind]) => {
+    const message =
+      values[name] === undefined ? null : validateTemplate(values[name], kind);
+    if (message) {
+      throw createUsageError(`--${name} 값이 올바르지 않습니다: ${message}`);
+    }
+  });
+  if (
+    values['name-mode'] !== undefined &&
+    normalizeNameMode(values['name-mode']) === null
+  ) {
+    throw createUsageError(
+      `--name-mode 값이 올바르지 않습니다: ${values['name-mode']}`,
+    );
+  }
+  if (
+    values.concurrency !== undefined &&
+    parsePositiveInteger(values.concurrency, null) === null
+  ) {
+    throw createUsageError(
+      `--concurrency 값이 올바르지 않습니다: ${values.concurrency}`,
+    );
+  }
+
+  return { values, positionals };
+}
+
+function splitInputLines(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function collectInputs({ values, positionals }) {
+  const inputs = [];
+  let stdinUsed = false;
+  const readStdinOnce = async () => {
+    if (stdinUsed) {
+      return [];
+    }
+    stdinUsed = true;
+    return splitInputLines(await readStdin());
+  };
+
+  if (values.input === '-') {
+    inputs.push(...(await readStdinOnce()));
+  } else if (values.input) {
+    try {
+      inputs.push(
+        ...splitInputLines(await fs.promises.readFile(values.input, 'utf8')),
+      );
+    } catch (error) {
+      throw createUsageError(`입력 파일을 읽지 못했습니다: ${values.input}`);
+    }
+  }
+
+  for (const positional of positionals) {
+    if (positional === '-') {
+      inputs.push(...(await readStdinOnce()));
+    } else {
+      inputs.push(positional);
+    }
+  }
+
+  if (!inputs.length && !values.input && !process.stdin.isTTY) {
+    inputs.push(...(await readStdinOnce()));
+  }
+
+  return inputs;
+}
+
+function resolvePackageIds(inputs) {
+  const invalid = [];
+  const packageIds = [];
+  inputs.forEach((input) => {
+    const packageId = extractPackageId(input);
+    if (!packageId) {
+      invalid.push(input);
+    } else if (!packageIds.includes(packageId)) {
+      packageIds.push(packageId);
+    }
+  });
+
+  if (invalid.length) {
+    throw createUsageError(
+      `패키지 ID를 찾을 수 없는 입력이 있습니다:\n${invalid
+        .map((input) => `  ${input}`)
+        .join('\n')}`,
+    );
+  }
+  if (!packageIds.length) {
+    throw createUsageError('받을 디시콘 URL이나 ID를 입력해주세요.');
+  }
+  return packageIds;
+}
+
+function claimFreePath(directory, name, extension = '') {
+  let candidate = path.join(directory, `${name}${extension}`);
+  let counter = 2;
+  while (fs.existsSync(candidate)) {
+    candidate = path.join(directory, `${name} (${counter})${extension}`);
+    counter += 1;
+  }
+  return candidate;
+}
+
+function createProgressReporter({ silent, prefix }) {
+  const stream = process.stderr;
+  const interactive = Boolean(stream.isTTY);
+  let lastStage = null;
+
+  return {
+    update({ stage, progress, message }) {
+      if (silent) {
+        return;
+      }
+      const percent = `${Math.round((progress || 0) * 100)}%`.padStart(4);
+      const line = `${prefix} ${percent} ${message}`;
+      if (interactive) {
+        stream.write(`\r\x1b[K${line}`);
+      } else if (stage !== lastStage) {
+        stream.write(`${line}\n`);
+      }
+      lastStage = stage;
+    },
+    finish(message) {
+      if (interactive && !silent) {
+        stream.write('\r\x1b[K');
+      }
+      stream.write(`${prefix} ${message}\n`);
+    },
+  };
+}
+
+async function exportPackage(packageId, context) {
+  const { values, options, outDir, concurrency, signal, prefix } = context;
+  const reporter = createProgressReporter({ silent: values.silent, prefix });
+  const extension = values.unpacked
+    ? ''
+    : getOutputContainer(options.container).extension;
+  const temporaryPath = path.join(
+    outDir,
+    `.dccon-export-${packageId}-${process.pid}${extension}`,
+  );
+
+  try {
+    const result = await downloadDcConPackage({
+      packageId,
+      onProgress: (update) => reporter.update(update),
+      options,
+      signal,
+      concurrency,
+      ...(values.unpacked
+        ? { outputDirectory: temporaryPath }
+        : { archivePath: temporaryPath }),
+    });
+
+    const title = options.preset
+      ? `${result.info?.title || 'dccon'}_${options.preset}`
+      : result.info?.title;
+    const finalPath = claimFreePath(
+      outDir,
+      buildArchiveBasename(options, title, packageId),
+      extension,
+    );
+    await fs.promises.rename(temporaryPath, finalPath);
+    const atlasPath = result.zip?.atlas
+      ? `${finalPath.slice(0, -extension.length)}.json`
+      : null;
+    if (atlasPath) {
+      await fs.promises.writeFile(
+        atlasPath,
+        `${JSON.stringify(
+          { ...result.zip.atlas, image: path.basename(finalPath) },
+          null,
+          2,
+        )}\n`,
+      );
+    }
+
+    const output = result.directory || result.zip;
+    const missing = result.failedItems.length;
+    reporter.finish(
+      missing
+        ? `${result.items.length}개 저장, ${missing}개 실패 (${formatBytes(output.size)})`
+        : `${result.items.length}개 저장 (${formatBytes(output.size)})`,
+    );
+    result.warnings.forEach((warning) => {
+      process.stderr.write(
+        `${prefix}   경고: ${warning.title || warning.idx} - ${warning.message}\n`,
+      );
+    });
+    result.failedItems.forEach((failed) => {
+      process.stderr.write(
+        `${prefix}   실패: ${failed.title || failed.idx} - ${failed.error}\n`,
+      );
+    });
+    process.stdout.write(`${finalPath}\n`);
+    if (atlasPath) {
+      process.stdout.write(`${atlasPath}\n`);
+    }
+    return missing ? 'partial' : 'ok';
+  } catch (error) {
+    await fs.promises.rm(temporaryPath, { recursive: true, force: true });
+    if (signal.aborted) {
+      throw error;
+    }
+    reporter.finish(
+      `실패: ${
+        error && typeof error.message === 'string'
+          ? error.message
+          : '알 수 없는 오류가 발생했습니다.'
+      }`,
+    );
+    return 'failed';
+  }
+}
+
+async function main(argv) {
+  const parsed = parseCommandLine(argv);
+  if (parsed.values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT_OK;
+  }
+
+  const packageIds = resolvePackageIds(await collectInputs(parsed));
+  const { values } = parsed;
+  const outDir = path.resolve(values['out-dir']);
+  await fs.promises.mkdir(outDir, { recursive: true });
+
+  const controller = new AbortController();
+  const onSigint = () => controller.abort(new Error('중단되었습니다.'));
+  process.once('SIGINT', onSigint);
+
+  const context = {
+    values,
+    options: normalizeJobOptions({
+      ...values,
+      nameTemplate: values['name-template'],
+      archiveTemplate: values['archive-template'],
+      nameMode: values['name-mode'],
+      maxBytes: values['max-bytes'],
+    }),
+    outDir,
+    concurrency: parsePositiveInteger(
+      values.concurrency,
+      parsePositiveInteger(process.env.IMAGE_CONCURRENCY, 4),
+    ),
+    signal: controller.signal,
+  };
+
+  const outcomes = [];
+  try {
+    for (let index = 0; index < packageIds.length; index += 1) {
+      const packageId = packageIds[index];
+      outcomes.push(
+        await exportPackage(packageId, {
+          ...context,
+          prefix: `[${index + 1}/${packageIds.length}] ${packageId}`,
+        }),
+      );
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      process.stderr.write('\n중단되었습니다.\n');
+      return EXIT_INTERRUPTED;
+    }
+    throw error;
+  } finally {
+    process.removeListener('SIGINT', onSigint);
+  }
+
+  if (outcomes.includes('failed')) {
+    return EXIT_FAILED;
+  }
+  return outcomes.includes('partial') ? EXIT_PARTIAL : EXIT_OK;
+}
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    process.stderr.write(`${error.message}\n`);
+    if (error.exitCode === EXIT_USAGE) {
+      process.stderr.write(
+        "자세한 사용법은 'dccon-export --help'를 참고하세요.\n",
+      );
+    }
+    process.exitCode = error.exitCode || EXIT_FAILED;
+  });
@@ -0,0 +1,121 @@
+'use strict';
+
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+const MAX_DELAY_MS = 0xffff;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let index = 0; index < buffer.length; index += 1) {
+    crc = CRC_TABLE[(crc ^ buffer[index]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function readChunks(png) {
+  if (!png.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('PNG 형식이 아닙니다.');
+  }
+
+  const chunks = [];
+  let offset = 8;
+  while (offset < png.length) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('latin1', offset + 4, offset + 8);
+    const data = png.subarray(offset + 8, offset + 8 + length);
+    chunks.push({ type, data });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+function writeChunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(data.length, 0);
+  header.write(type, 4, 'latin1');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])), 0);
+  return Buffer.concat([header, data, crc]);
+}
+
+function createFrameControl(sequence, width, height, delayMs) {
+  const data = Buffer.alloc(26);
+  data.writeUInt32BE(sequence, 0);
+  data.writeUInt32BE(width, 4);
+  data.writeUInt32BE(height, 8);
+  data.writeUInt32BE(0, 12);
+  data.writeUInt32BE(0, 16);
+  data.writeUInt16BE(
+    Math.min(MAX_DELAY_MS, Math.max(0, Math.round(delayMs))),
+    20,
+  );
+  data.writeUInt16BE(1000, 22);
+  data.writeUInt8(0, 24); // dispose_op: none
+  data.writeUInt8(0, 25); // blend_op: source
+  return writeChunk('fcTL', data);
+}
+
+function assembleApng(framePngs, { width, height, delays = [], loop = 0 }) {
+  if (!framePngs.length) {
+    throw new Error('APNG로 묶을 프레임이 없습니다.');
+  }
+
+  const firstChunks = readChunks(framePngs[0]);
+  const header = firstChunks.find((chunk) => chunk.type === 'IHDR');
+  const ancillary = firstChunks.filter((chunk) =>
+    ['PLTE', 'tRNS', 'gAMA', 'sRGB', 'iCCP', 'cHRM'].includes(chunk.type),
+  );
+
+  const animationControl = Buffer.alloc(8);
+  animationControl.writeUInt32BE(framePngs.length, 0);
+  animationControl.writeUInt32BE(loop, 4);
+
+  const parts = [
+    PNG_SIGNATURE,
+    writeChunk('IHDR', header.data),
+    writeChunk('acTL', animationControl),
+    ...ancillary.map((chunk) => writeChunk(chunk.type, chunk.data)),
+  ];
+
+  let sequence = 0;
+  framePngs.forEach((png, frameIndex) => {
+    const chunks = frameIndex === 0 ? firstChunks : readChunks(png);
+    parts.push(
+      createFrameControl(sequence, width, height, delays[frameIndex] ?? 100),
+    );
+    sequence += 1;
+
+    chunks
+      .filter((chunk) => chunk.type === 'IDAT')
+      .forEach((chunk) => {
+        if (frameIndex === 0) {
+          parts.push(writeChunk('IDAT', chunk.data));
+          return;
+        }
+        const prefix = Buffer.alloc(4);
+        prefix.writeUInt32BE(sequence, 0);
+        sequence += 1;
+        parts.push(writeChunk('fdAT', Buffer.concat([prefix, chunk.data])));
+      });
+  });
+
+  parts.push(writeChunk('IEND', Buffer.alloc(0)));
+  return Buffer.concat(parts);
+}
+
+module.exports = {
+  assembleApng,
+};
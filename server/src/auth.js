@@ -0,0 +1,252 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { nanoid } = require('nanoid');
+const { parsePositiveInteger } = require('./utils');
+
+const SECRET_FILENAME = 'auth-secret';
+const SESSION_TOKEN_TTL_MS = parsePositiveInteger(
+  process.env.SESSION_TOKEN_TTL_MS,
+  1000 * 60 * 60 * 24 * 30, // 30일
+);
+const SESSION_ISSUE_PER_HOUR = parsePositiveInteger(
+  process.env.SESSION_ISSUE_PER_HOUR,
+  20,
+);
+const ISSUE_WINDOW_MS = 1000 * 60 * 60;
+// 이미지·다운로드 URL에 붙는 토큰은 같은 구간 안에서 값이 바뀌지 않아야 브라우저 캐시가 유지됩니다.
+const JOB_ACCESS_TTL_MS = 1000 * 60 * 60;
+const JOB_ACCESS_BUCKET_MS = 1000 * 60 * 30;
+
+const issueHistory = new Map();
+
+function createAuthError(message) {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+}
+
+// AUTH_SECRET이 없으면 데이터 디렉터리에 만들어 둔 비밀값을 써서 재시작 후에도 토큰이 유지되게 합니다.
+function loadSecret() {
+  if (process.env.AUTH_SECRET) {
+    return process.env.AUTH_SECRET;
+  }
+  if (process.env.JOB_STORE === 'memory') {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  const dataDir = path.resolve(
+    process.env.DATA_DIR || path.join(__dirname, '..', 'data'),
+  );
+  const secretPath = path.join(dataDir, SECRET_FILENAME);
+  try {
+    const existing = fs.readFileSync(secretPath, 'utf8').trim();
+    if (existing) {
+      return existing;
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  const generated = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(secretPath, `${generated}\n`, { mode: 0o600 });
+  return generated;
+}
+
+const secret = loadSecret();
+
+function hashKey(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function parseApiKeys(value) {
+  const keys = new Map();
+  String(value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const separator = entry.indexOf(':');
+      const name = separator > 0 ? entry.slice(0, separator).trim() : '';
+      const key = separator > 0 ? entry.slice(separator + 1).trim() : '';
+      if (!name || !key) {
+        throw new Error(`API_KEYS 항목 형식이 올바르지 않습니다: ${entry}`);
+      }
+      keys.set(hashKey(key), name);
+    });
+  return keys;
+}
+
+const apiKeys = parseApiKeys(process.env.API_KEYS);
+
+function sign(value) {
+  return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+function signToken(payload) {
+  const body = Buffer.from(JSON.stringify(payload), 'utf8').toString(
+    'base64url',
+  );
+  return `${body}.${sign(body)}`;
+}
+
+function verifyToken(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+  const [body, signature, extra] = token.split('.');
+  if (!body || !signature || extra !== undefined) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (_error) {
+    return null;
+  }
+  if (!payload || typeof payload.sub !== 'string') {
+    return null;
+  }
+  if (typeof payload.exp === 'number' && payload.exp <= Date.now()) {
+    return { ...payload, expired: true };
+  }
+  return payload;
+}
+
+function takeIssueSlot(clientKey) {
+  const now = Date.now();
+  const history = (issueHistory.get(clientKey) || []).filter(
+    (timestamp) => now - timestamp < ISSUE_WINDOW_MS,
+  );
+  if (history.length >= SESSION_ISSUE_PER_HOUR) {
+    const error = new Error(
+      '새 세션을 너무 자주 만들었습니다. 잠시 후 다시 시도해주세요.',
+    );
+    error.statusCode = 429;
+    error.retryAfter = Math.ceil((history[0] + ISSUE_WINDOW_MS - now) / 1000);
+    throw error;
+  }
+  history.push(now);
+  issueHistory.set(clientKey, history);
+}
+
+function issueSessionToken({ currentToken, clientKey } = {}) {
+  const current = verifyToken(currentToken);
+  let sessionId;
+  if (current && current.typ === 'session' && !current.expired) {
+    sessionId = current.sub;
+  } else {
+    takeIssueSlot(clientKey || 'unknown');
+    sessionId = nanoid();
+  }
+
+  const expiresAt = Date.now() + SESSION_TOKEN_TTL_MS;
+  return {
+    token: signToken({ typ: 'session', sub: sessionId, exp: expiresAt }),
+    sessionId,
+    expiresAt: new Date(expiresAt).toISOString(),
+  };
+}
+
+function identityFromSessionToken(token) {
+  const payload = verifyToken(token);
+  if (!payload || payload.typ !== 'session') {
+    throw createAuthError('세션 토큰이 올바르지 않습니다.');
+  }
+  if (payload.expired) {
+    throw createAuthError('세션이 만료되었습니다. 다시 시작해주세요.');
+  }
+  return {
+    id: payload.sub,
+    type: 'session',
+    expiresAt: new Date(payload.exp).toISOString(),
+  };
+}
+
+function identityFromApiKey(key) {
+  const name = apiKeys.get(hashKey(key));
+  if (!name) {
+    throw createAuthError('API 키가 올바르지 않습니다.');
+  }
+  return { id: `key:${name}`, type: 'apiKey', name };
+}
+
+function readHeader(req, name) {
+  const value = req.headers[name];
+  return (Array.isArray(value) ? value[0] : value)?.trim() || '';
+}
+
+function readQuery(req, name) {
+  const value = req.query?.[name];
+  return (Array.isArray(value) ? value[0] : value)?.trim?.() || '';
+}
+
+function authenticateRequest(req, { allowQueryToken = false } = {}) {
+  const apiKey = readHeader(req, 'x-api-key');
+  if (apiKey) {
+    return identityFromApiKey(apiKey);
+  }
+
+  const authorization = readHeader(req, 'authorization');
+  const match = authorization.match(/^(Bearer|ApiKey)\s+(.+)$/i);
+  if (match) {
+    return match[1].toLowerCase() === 'apikey'
+      ? identityFromApiKey(match[2].trim())
+      : identityFromSessionToken(match[2].trim());
+  }
+  if (authorization) {
+    throw createAuthError('지원하지 않는 인증 방식입니다.');
+  }
+
+  const queryToken = allowQueryToken ? readQuery(req, 'access_token') : '';
+  return queryToken ? identityFromSessionToken(queryToken) : null;
+}
+
+// 작업 하나에만 쓰는 짧은 토큰이라 링크가 새어도 세션은 드러나지 않습니다.
+function createJobAccessToken(ownerId, jobId, now = Date.now()) {
+  const expiresAt =
+    Math.ceil((now + JOB_ACCESS_TTL_MS) / JOB_ACCESS_BUCKET_MS) *
+    JOB_ACCESS_BUCKET_MS;
+  return signToken({ typ: 'job', sub: ownerId, job: jobId, exp: expiresAt });
+}
+
+function verifyJobAccessToken(token, jobId) {
+  const payload = verifyToken(token);
+  if (!payload || payload.typ !== 'job' || payload.job !== jobId) {
+    throw createAuthError('링크가 올바르지 않습니다.');
+  }
+  if (payload.expired) {
+    throw createAuthError('링크가 만료되었습니다. 목록을 새로고침해주세요.');
+  }
+  return payload.sub;
+}
+
+// 웹훅 서명용 비밀값은 저장하지 않고 신원마다 AUTH_SECRET에서 파생합니다.
+function createWebhookSecret(ownerId) {
+  return `whsec_${sign(`webhook:${ownerId}`)}`;
+}
+
+module.exports = {
+  authenticateRequest,
+  createJobAccessToken,
+  createWebhookSecret,
+  issueSessionToken,
+  signToken,
+  verifyJobAccessToken,
+  verifyToken,
+};
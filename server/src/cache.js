@@ -0,0 +1,77 @@
+'use strict';
+
+function createLruCache({
+  maxEntries = Infinity,
+  maxBytes = Infinity,
+  ttlMs = 0,
+  sizeOf = () => 0,
+} = {}) {
+  const entries = new Map();
+  let totalBytes = 0;
+  const stats = { hits: 0, misses: 0, evictions: 0 };
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (!entry) {
+      return false;
+    }
+    entries.delete(key);
+    totalBytes -= entry.size;
+    return true;
+  };
+
+  const evict = () => {
+    while (entries.size > maxEntries || totalBytes > maxBytes) {
+      remove(entries.keys().next().value);
+      stats.evictions += 1;
+    }
+  };
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        stats.misses += 1;
+        return undefined;
+      }
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        remove(key);
+        stats.misses += 1;
+        return undefined;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      stats.hits += 1;
+      return entry.value;
+    },
+    set(key, value) {
+      const size = sizeOf(value) || 0;
+      remove(key);
+      if (size > maxBytes) {
+        return false;
+      }
+      entries.set(key, {
+        value,
+        size,
+        expiresAt: ttlMs > 0 ? Date.now() + ttlMs : 0,
+      });
+      totalBytes += size;
+      evict();
+      return true;
+    },
+    delete(key) {
+      return remove(key);
+    },
+    clear() {
+      entries.clear();
+      totalBytes = 0;
+    },
+    stats() {
+      return { ...stats, entries: entries.size, bytes: totalBytes };
+    },
+  };
+}
+
+module.exports = {
+  createLruCache,
+};
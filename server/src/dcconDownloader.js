@@ -1,77 +1,316 @@
 'use strict';
 
-const archiver = require('archiver');
-const sharp = require('sharp');
-const { buildArchiveFilename, sanitizeFilename } = require('./utils');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createLruCache } = require('./cache');
+const {
+  createEntryNamer,
+  renderArchiveBasename,
+} = require('./filenameTemplate');
+const { applyResize, readImageInfo } = require('./imageProcessor');
+const {
+  formatSizeLabel,
+  normalizeResizeOption,
+  normalizeSizesOption,
+} = require('./jobOptions');
+const { INDEX_FORMATS, buildManifestEntries } = require('./manifest');
+const {
+  getOutputContainer,
+  readEntryBuffer,
+  writeOutput,
+} = require('./outputContainers');
+const { applyPreset, buildPresetEntries } = require('./presets');
+const { applySizeBudget } = require('./sizeBudget');
+const {
+  claimUniqueName,
+  mapWithConcurrency,
+  parseNonNegativeInteger,
+  parsePositiveInteger,
+} = require('./utils');
 
-const BASE_URL = 'https://dccon.dcinside.com';
-const IMAGE_ENDPOINT = 'https://dcimg5.dcinside.com/dccon.php?no=';
-const REFERER = `${BASE_URL}/`;
+const DEFAULT_BASE_URL = 'https://dccon.dcinside.com';
+const DEFAULT_IMAGE_ENDPOINT = 'https://dcimg5.dcinside.com/dccon.php?no=';
 const USER_AGENT =
   'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
 const PREVIEW_COUNT = 4;
-const RESIZABLE_FORMATS = new Set(['png', 'jpeg', 'jpg', 'webp']);
-const MIME_BY_FORMAT = {
-  png: 'image/png',
-  jpeg: 'image/jpeg',
-  jpg: 'image/jpeg',
-  webp: 'image/webp',
-};
+const DEFAULT_IMAGE_CONCURRENCY = 4;
+const REQUEST_TIMEOUT_MS = parsePositiveInteger(
+  process.env.UPSTREAM_TIMEOUT_MS,
+  15 * 1000,
+);
+const REQUEST_RETRIES = parseNonNegativeInteger(
+  process.env.UPSTREAM_RETRIES,
+  3,
+);
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 8 * 1000;
+const RETRYABLE_STATUS_CODES = new Set([408, 425, 429, 500, 502, 503, 504]);
+const SESSION_EXPIRED_STATUS_CODES = new Set([401, 403, 419]);
+const UPSTREAM_RATE_PER_SECOND = parsePositiveInteger(
+  process.env.UPSTREAM_RATE_PER_SECOND,
+  5,
+);
+const UPSTREAM_BURST = parsePositiveInteger(process.env.UPSTREAM_BURST, 10);
+const UPSTREAM_HOST_CONCURRENCY = parsePositiveInteger(
+  process.env.UPSTREAM_HOST_CONCURRENCY,
+  4,
+);
+const UPSTREAM_WAIT_NOTICE_MS = 250;
+const DETAIL_CACHE_TTL_MS = parsePositiveInteger(
+  process.env.CACHE_DETAIL_TTL_MS,
+  10 * 60 * 1000,
+);
+const IMAGE_CACHE_TTL_MS = parsePositiveInteger(
+  process.env.CACHE_IMAGE_TTL_MS,
+  60 * 60 * 1000,
+);
+const IMAGE_CACHE_MAX_BYTES = parsePositiveInteger(
+  process.env.CACHE_IMAGE_MAX_BYTES,
+  128 * 1024 * 1024,
+);
+const VARIANT_CACHE_MAX_BYTES = parsePositiveInteger(
+  process.env.CACHE_VARIANT_MAX_BYTES,
+  128 * 1024 * 1024,
+);
 
-function canResize(ext, mimeType) {
-  const normalizedExt = (ext || '').toLowerCase();
-  if (RESIZABLE_FORMATS.has(normalizedExt)) {
-    return true;
-  }
-  if (!mimeType) {
-    return false;
-  }
-  const lowerMime = mimeType.toLowerCase();
-  return Object.values(MIME_BY_FORMAT).includes(lowerMime);
+const detailCache = createLruCache({
+  maxEntries: 200,
+  ttlMs: DETAIL_CACHE_TTL_MS,
+});
+const imageCache = createLruCache({
+  maxBytes: IMAGE_CACHE_MAX_BYTES,
+  ttlMs: IMAGE_CACHE_TTL_MS,
+  sizeOf: (image) => image.buffer.length,
+});
+const variantCache = createLruCache({
+  maxBytes: VARIANT_CACHE_MAX_BYTES,
+  ttlMs: IMAGE_CACHE_TTL_MS,
+  sizeOf: (variant) => variant.buffer.length,
+});
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
 }
 
-async function applyResize(buffer, ext, mimeType, size) {
-  if (!size || !canResize(ext, mimeType)) {
-    return { buffer, ext, mimeType, resized: false };
+function getRetryDelay(attempt, response) {
+  const retryAfter = Number(response?.headers.get('retry-after'));
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    return Math.min(RETRY_MAX_DELAY_MS, retryAfter * 1000);
   }
+  const exponential = RETRY_BASE_DELAY_MS * 2 ** attempt;
+  return Math.min(RETRY_MAX_DELAY_MS, exponential) + Math.random() * 250;
+}
 
-  try {
-    const { data, info } = await sharp(buffer)
-      .resize(size, size, {
-        fit: 'contain',
-        withoutEnlargement: false,
-        background: { r: 0, g: 0, b: 0, alpha: 0 },
-      })
-      .toBuffer({ resolveWithObject: true });
-
-    const format = (info?.format || ext || '').toLowerCase();
-    const normalizedFormat = format === 'jpeg' ? 'jpg' : format;
-    const newExt = normalizedFormat || ext || 'png';
-    const newMime = MIME_BY_FORMAT[normalizedFormat] || mimeType || 'image/png';
-
-    return {
-      buffer: data,
-      ext: newExt,
-      mimeType: newMime,
-      resized: true,
-    };
-  } catch (error) {
-    console.warn('이미지 리사이즈 실패:', error.message);
-    return { buffer, ext, mimeType, resized: false };
+function createUpstreamClient({
+  ratePerSecond,
+  burst,
+  hostConcurrency,
+  fetch: fetchImpl = globalThis.fetch,
+}) {
+  let tokens = burst;
+  let lastRefill = Date.now();
+  const hosts = new Map();
+
+  const getHostState = (host) => {
+    if (!hosts.has(host)) {
+      hosts.set(host, { active: 0, waiters: new Set(), pausedUntil: 0 });
+    }
+    return hosts.get(host);
+  };
+
+  const takeToken = () => {
+    const now = Date.now();
+    tokens = Math.min(
+      burst,
+      tokens + ((now - lastRefill) / 1000) * ratePerSecond,
+    );
+    lastRefill = now;
+    if (tokens >= 1) {
+      tokens -= 1;
+      return 0;
+    }
+    return Math.ceil(((1 - tokens) / ratePerSecond) * 1000);
+  };
+
+  const waitForSlot = (state, signal) =>
+    new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      const onAbort = () => {
+        state.waiters.delete(wake);
+        reject(signal.reason);
+      };
+      const wake = () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      };
+      state.waiters.add(wake);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+
+  const releaseSlot = (state) => {
+    state.active -= 1;
+    const next = state.waiters.values().next().value;
+    if (next) {
+      state.waiters.delete(next);
+      next();
+    }
+  };
+
+  const acquire = async (host, signal, onWait) => {
+    const state = getHostState(host);
+    const notice = setTimeout(() => onWait?.(), UPSTREAM_WAIT_NOTICE_MS);
+    try {
+      while (state.active >= hostConcurrency) {
+        await waitForSlot(state, signal);
+      }
+      state.active += 1;
+      try {
+        for (;;) {
+          const pausedFor = state.pausedUntil - Date.now();
+          const waitFor = pausedFor > 0 ? pausedFor : takeToken();
+          if (!waitFor) {
+            break;
+          }
+          await sleep(waitFor, signal);
+        }
+      } catch (error) {
+        releaseSlot(state);
+        throw error;
+      }
+    } finally {
+      clearTimeout(notice);
+    }
+    return () => releaseSlot(state);
+  };
+
+  const pauseHost = (host, ms) => {
+    const state = getHostState(host);
+    state.pausedUntil = Math.max(state.pausedUntil, Date.now() + ms);
+  };
+
+  // 응답 본문까지 슬롯 안에서 읽어 두어야 동시 요청 수 제한이 정확해집니다.
+  const readResponse = async (response) => {
+    const body =
+      response.status === 204 || response.status === 304
+        ? null
+        : await response.arrayBuffer();
+    return new Response(body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+    });
+  };
+
+  const request = async (url, init, { signal, onWait } = {}) => {
+    const { host } = new URL(url);
+    let lastError = null;
+    for (let attempt = 0; attempt <= REQUEST_RETRIES; attempt += 1) {
+      signal?.throwIfAborted();
+      const release = await acquire(host, signal, onWait);
+      const timeoutSignal = AbortSignal.timeout(REQUEST_TIMEOUT_MS);
+      const attemptSignal = signal
+        ? AbortSignal.any([signal, timeoutSignal])
+        : timeoutSignal;
+
+      let response = null;
+      try {
+        response = await readResponse(
+          await fetchImpl(url, { ...init, signal: attemptSignal }),
+        );
+      } catch (error) {
+        if (signal?.aborted) {
+          throw signal.reason;
+        }
+        lastError =
+          error?.name === 'TimeoutError'
+            ? new Error('요청 시간이 초과되었습니다.')
+            : error;
+      } finally {
+        release();
+      }
+
+      if (response) {
+        if (
+          !RETRYABLE_STATUS_CODES.has(response.status) ||
+          attempt === REQUEST_RETRIES
+        ) {
+          return response;
+        }
+        lastError = new Error(`HTTP ${response.status}`);
+        pauseHost(host, getRetryDelay(attempt, response));
+      } else if (attempt === REQUEST_RETRIES) {
+        throw lastError;
+      } else {
+        await sleep(getRetryDelay(attempt, null), signal);
+      }
+    }
+    throw lastError;
+  };
+
+  return { request };
+}
+
+function createProxyFetch(proxyUrl) {
+  const { protocol, hostname, port, username, password } = new URL(proxyUrl);
+  const { fetch: undiciFetch, ProxyAgent } = require('undici');
+
+  let dispatcher;
+  if (protocol === 'http:' || protocol === 'https:') {
+    dispatcher = new ProxyAgent(proxyUrl);
+  } else if (/^socks(4a?|5h?)?:$/.test(protocol)) {
+    const { socksDispatcher } = require('fetch-socks');
+    dispatcher = socksDispatcher({
+      type: protocol.startsWith('socks4') ? 4 : 5,
+      host: hostname,
+      port: Number(port) || 1080,
+      ...(username ? { userId: decodeURIComponent(username) } : {}),
+      ...(password ? { password: decodeURIComponent(password) } : {}),
+    });
+  } else {
+    throw new Error(`지원하지 않는 프록시 주소입니다: ${proxyUrl}`);
   }
+
+  return (url, init) => undiciFetch(url, { ...init, dispatcher });
 }
 
-async function initializeSession() {
-  const response = await fetch(`${BASE_URL}/`, {
-    headers: {
-      Accept:
-        'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
-      'Accept-Language': 'ko,en-US;q=0.9,en;q=0.8',
-      'User-Agent': USER_AGENT,
-      'Upgrade-Insecure-Requests': '1',
+const upstreamConfig = {
+  baseUrl: DEFAULT_BASE_URL,
+  imageEndpoint: DEFAULT_IMAGE_ENDPOINT,
+};
+let upstream = null;
+
+async function initializeSession(signal, onWait) {
+  const response = await upstream.request(
+    `${upstreamConfig.baseUrl}/`,
+    {
+      headers: {
+        Accept:
+          'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
+        'Accept-Language': 'ko,en-US;q=0.9,en;q=0.8',
+        'User-Agent': USER_AGENT,
+        'Upgrade-Insecure-Requests': '1',
+      },
+      redirect: 'follow',
     },
-    redirect: 'follow',
-  });
+    { signal, onWait },
+  );
 
   if (!response.ok) {
     throw new Error('초기 연결에 실패했습니다.');
@@ -89,7 +328,22 @@ async function initializeSession() {
   }
 
   const csrfToken = csrfCookie.split('=')[1];
-  return { cookieHeader, csrfToken };
+  return { cookieHeader, csrfToken, onWait };
+}
+
+// 여러 요청이 동시에 만료를 감지해도 세션 갱신은 한 번만 일어납니다.
+function refreshSession(session, signal) {
+  if (!session.refreshing) {
+    session.refreshing = initializeSession(signal, session.onWait)
+      .then((fresh) => {
+        session.cookieHeader = fresh.cookieHeader;
+        session.csrfToken = fresh.csrfToken;
+      })
+      .finally(() => {
+        session.refreshing = null;
+      });
+  }
+  return session.refreshing;
 }
 
 function getSetCookies(headers) {
@@ -110,173 +364,920 @@ function getSetCookies(headers) {
   return Array.isArray(value) ? value : [value];
 }
 
-async function fetchPackageDetail(session, packageId) {
+function requestPackageDetail(session, packageId, signal) {
   const body = new URLSearchParams({
     ci_t: session.csrfToken,
     package_idx: packageId,
     code: '',
   });
 
-  const response = await fetch(`${BASE_URL}/index/package_detail`, {
-    method: 'POST',
-    headers: {
-      Accept: '*/*',
-      'Accept-Language': 'ko,en-US;q=0.9,en;q=0.8',
-      'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
-      Cookie: session.cookieHeader,
-      Referer: REFERER,
-      'User-Agent': USER_AGENT,
-      'X-Requested-With': 'XMLHttpRequest',
+  return upstream.request(
+    `${upstreamConfig.baseUrl}/index/package_detail`,
+    {
+      method: 'POST',
+      headers: {
+        Accept: '*/*',
+        'Accept-Language': 'ko,en-US;q=0.9,en;q=0.8',
+        'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
+        Cookie: session.cookieHeader,
+        Referer: `${upstreamConfig.baseUrl}/`,
+        'User-Agent': USER_AGENT,
+        'X-Requested-With': 'XMLHttpRequest',
+      },
+      body,
     },
-    body,
-  });
+    { signal, onWait: session.onWait },
+  );
+}
 
-  if (!response.ok) {
-    throw new Error('디시콘 정보를 불러오지 못했습니다.');
+async function fetchPackageDetail(session, packageId, signal) {
+  for (let attempt = 0; ; attempt += 1) {
+    const canRefresh = attempt === 0;
+    const response = await requestPackageDetail(session, packageId, signal);
+
+    if (canRefresh && SESSION_EXPIRED_STATUS_CODES.has(response.status)) {
+      await response.body?.cancel().catch(() => {});
+      await refreshSession(session, signal);
+      continue;
+    }
+
+    if (!response.ok) {
+      throw new Error('디시콘 정보를 불러오지 못했습니다.');
+    }
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (error) {
+      if (canRefresh) {
+        // 토큰이 만료되면 JSON 대신 HTML 안내 페이지가 내려옵니다.
+        await refreshSession(session, signal);
+        continue;
+      }
+      throw new Error('디시콘 정보 형식이 올바르지 않습니다.');
+    }
+
+    if (!data || !data.detail || !Array.isArray(data.detail)) {
+      throw new Error('디시콘 정보 형식이 올바르지 않습니다.');
+    }
+
+    return data;
   }
+}
 
-  const data = await response.json();
+async function fetchImageBuffer(session, path, signal) {
+  for (let attempt = 0; ; attempt += 1) {
+    const response = await upstream.request(
+      `${upstreamConfig.imageEndpoint}${path}`,
+      {
+        headers: {
+          Accept:
+            'image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8',
+          'Accept-Language': 'ko,en-US;q=0.9,en;q=0.8',
+          Cookie: session.cookieHeader,
+          Referer: `${upstreamConfig.baseUrl}/`,
+          'User-Agent': USER_AGENT,
+        },
+      },
+      { signal, onWait: session.onWait },
+    );
 
-  if (!data || !data.detail || !Array.isArray(data.detail)) {
-    throw new Error('디시콘 정보 형식이 올바르지 않습니다.');
+    if (attempt === 0 && SESSION_EXPIRED_STATUS_CODES.has(response.status)) {
+      await response.body?.cancel().catch(() => {});
+      await refreshSession(session, signal);
+      continue;
+    }
+
+    if (!response.ok) {
+      throw new Error(
+        `이미지를 다운로드하지 못했습니다. (HTTP ${response.status})`,
+      );
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const mimeType = response.headers.get('content-type') || 'image/png';
+    return { buffer, mimeType };
   }
+}
 
-  return data;
+async function loadPackageDetail(session, packageId, signal) {
+  const cached = detailCache.get(packageId);
+  if (cached) {
+    return { data: cached, cached: true };
+  }
+  const data = await fetchPackageDetail(session, packageId, signal);
+  detailCache.set(packageId, data);
+  return { data, cached: false };
 }
 
-async function fetchImageBuffer(session, path) {
-  const response = await fetch(`${IMAGE_ENDPOINT}${path}`, {
-    headers: {
-      Accept:
-        'image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8',
-      'Accept-Language': 'ko,en-US;q=0.9,en;q=0.8',
-      Cookie: session.cookieHeader,
-      Referer: REFERER,
-      'User-Agent': USER_AGENT,
-    },
+async function loadSourceImage(session, packageId, path, signal) {
+  const key = `${packageId}:${path}`;
+  const cached = imageCache.get(key);
+  if (cached) {
+    return { ...cached, cached: true };
+  }
+  const image = await fetchImageBuffer(session, path, signal);
+  imageCache.set(key, image);
+  return { ...image, cached: false };
+}
+
+// 다른 출처의 결과가 섞이지 않도록 캐시도 비웁니다.
+function configureUpstream({
+  baseUrl = DEFAULT_BASE_URL,
+  imageEndpoint = DEFAULT_IMAGE_ENDPOINT,
+  proxy = null,
+  fetch: fetchImpl = null,
+} = {}) {
+  upstreamConfig.baseUrl = baseUrl.replace(/\/+$/, '');
+  upstreamConfig.imageEndpoint = imageEndpoint;
+  upstream = createUpstreamClient({
+    ratePerSecond: UPSTREAM_RATE_PER_SECOND,
+    burst: UPSTREAM_BURST,
+    hostConcurrency: UPSTREAM_HOST_CONCURRENCY,
+    fetch: fetchImpl || (proxy ? createProxyFetch(proxy) : globalThis.fetch),
   });
+  detailCache.clear();
+  imageCache.clear();
+  variantCache.clear();
+}
 
-  if (!response.ok) {
-    throw new Error('이미지를 다운로드하지 못했습니다.');
+configureUpstream({
+  baseUrl: process.env.UPSTREAM_BASE_URL || DEFAULT_BASE_URL,
+  imageEndpoint: process.env.UPSTREAM_IMAGE_ENDPOINT || DEFAULT_IMAGE_ENDPOINT,
+  proxy: process.env.UPSTREAM_PROXY || null,
+});
+
+function getCacheStats() {
+  return {
+    detail: detailCache.stats(),
+    image: imageCache.stats(),
+    variant: variantCache.stats(),
+  };
+}
+
+function buildNamedEntries(items, namingOptions, { title, packageId }) {
+  const nameEntry = createEntryNamer({
+    template: namingOptions.nameTemplate,
+    mode: namingOptions.nameMode,
+    packageTitle: title,
+    packageId,
+  });
+  return items.map((item, index) => ({
+    name: nameEntry(item, index),
+    buffer: item.buffer,
+    item,
+  }));
+}
+
+function buildArchiveEntries(items, namingOptions = {}, { title, packageId }) {
+  const labels = items[0]?.variants?.map((variant) => variant.label);
+  if (!labels) {
+    return buildNamedEntries(items, namingOptions, { title, packageId });
   }
+  return labels.flatMap((label) =>
+    buildNamedEntries(
+      items.map((item) => {
+        const variant = item.variants?.find((entry) => entry.label === label);
+        return variant ? { ...item, ...variant, variant: label } : item;
+      }),
+      namingOptions,
+      { title, packageId },
+    ).map((entry) => ({ ...entry, name: `${label}/${entry.name}` })),
+  );
+}
+
+// 다 쓴 뒤에 이름을 바꿔 반쯤 쓴 폴더가 남지 않게 합니다.
+async function writeDirectory(entries, destinationPath, signal, readItem) {
+  const partialPath = `${destinationPath}.partial`;
+  await fs.promises.rm(partialPath, { recursive: true, force: true });
 
-  const buffer = Buffer.from(await response.arrayBuffer());
-  const mimeType = response.headers.get('content-type') || 'image/png';
-  return { buffer, mimeType };
+  try {
+    let size = 0;
+    for (const entry of entries) {
+      signal?.throwIfAborted();
+      const filePath = path.join(partialPath, entry.name);
+      const buffer = readEntryBuffer(entry, readItem);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      size += buffer.length;
+    }
+    await fs.promises.rename(partialPath, destinationPath);
+    return { path: destinationPath, size };
+  } catch (error) {
+    await fs.promises.rm(partialPath, { recursive: true, force: true });
+    throw error;
+  }
 }
 
-function createZipBuffer(items) {
-  return new Promise((resolve, reject) => {
-    const archive = archiver('zip', { zlib: { level: 9 } });
-    const chunks = [];
-
-    archive.on('data', (chunk) => chunks.push(chunk));
-    archive.on('end', () => resolve(Buffer.concat(chunks)));
-    archive.on('error', (error) => reject(error));
-
-    items.forEach((item) => {
-      const paddedSort = String(item.sort || item.index || items.indexOf(item))
-        .padStart(3, '0');
-      const safeTitle = sanitizeFilename(item.title, `dccon_${paddedSort}`);
-      const extension = item.ext || 'png';
-      archive.append(item.buffer, {
-        name: `${paddedSort}_${safeTitle}.${extension}`,
+function resolveProcessingOptions(options = {}) {
+  const presetOption = options.preset || null;
+  const resizeOption = presetOption
+    ? null
+    : normalizeResizeOption(options.resize);
+  const sizeOptions =
+    (!presetOption && normalizeSizesOption(options.sizes)) || null;
+  const layoutOptions = {
+    fit: (!presetOption && options.fit) || null,
+    background: (!presetOption && options.background) || null,
+    trim: !presetOption && options.trim === true,
+  };
+  const outputOptions = {
+    format: (!presetOption && options.format) || null,
+    quality: typeof options.quality === 'number' ? options.quality : null,
+    lossless: Boolean(options.lossless),
+  };
+  const budgetOption =
+    typeof options.maxBytes === 'number' ? options.maxBytes : null;
+  const indexOption = INDEX_FORMATS.has(options.index) ? options.index : null;
+  const namingOptions = {
+    nameTemplate: options.nameTemplate || null,
+    archiveTemplate: options.archiveTemplate || null,
+    nameMode: options.nameMode || null,
+  };
+  const containerOptions = {
+    container: options.container || 'zip',
+    compression:
+      typeof options.compression === 'number' ? options.compression : null,
+  };
+  return {
+    presetOption,
+    resizeOption,
+    sizeOptions,
+    layoutOptions,
+    outputOptions,
+    budgetOption,
+    indexOption,
+    namingOptions,
+    containerOptions,
+  };
+}
+
+function resolveResizeTargets(options) {
+  const { resizeOption, sizeOptions } = resolveProcessingOptions(options);
+  return sizeOptions
+    ? sizeOptions.map((size) => (size === 'original' ? null : size))
+    : [resizeOption];
+}
+
+function buildVariantKey(packageId, path, options, target) {
+  const { presetOption, layoutOptions, outputOptions, budgetOption } =
+    resolveProcessingOptions(options);
+  return JSON.stringify([
+    packageId,
+    path,
+    presetOption,
+    target,
+    layoutOptions.fit,
+    layoutOptions.background,
+    layoutOptions.trim,
+    outputOptions.format,
+    outputOptions.quality,
+    outputOptions.lossless,
+    budgetOption,
+  ]);
+}
+
+async function createVariant(source, item, options, target, signal) {
+  const { presetOption, layoutOptions, outputOptions, budgetOption } =
+    resolveProcessingOptions(options);
+  const converted = presetOption
+    ? await applyPreset(source.buffer, item.ext, source.mimeType, presetOption)
+    : await applyResize(
+        source.buffer,
+        item.ext,
+        source.mimeType,
+        { ...target, ...layoutOptions },
+        outputOptions,
+      );
+  signal?.throwIfAborted();
+  const processed = budgetOption
+    ? await applySizeBudget(converted, budgetOption)
+    : converted;
+  signal?.throwIfAborted();
+  const outputInfo = await readImageInfo(processed.buffer);
+  signal?.throwIfAborted();
+
+  return {
+    buffer: processed.buffer,
+    ext: processed.ext || item.ext || 'png',
+    mimeType: processed.mimeType || source.mimeType,
+    resized: processed.resized,
+    converted: processed.converted,
+    animated: processed.animated,
+    frames: processed.frames,
+    warnings: processed.warnings || [],
+    budget: processed.budget || null,
+    width: outputInfo?.width ?? null,
+    height: outputInfo?.height ?? null,
+    sha256: crypto.createHash('sha256').update(processed.buffer).digest('hex'),
+  };
+}
+
+async function processPackageItem({
+  session,
+  packageId,
+  item,
+  index,
+  options,
+  signal,
+}) {
+  const targets = resolveResizeTargets(options);
+  const variants = [];
+  let cacheHit = 'variant';
+  let source = null;
+  for (const target of targets) {
+    const variantKey = buildVariantKey(packageId, item.path, options, target);
+    let variant = variantCache.get(variantKey);
+    if (!variant) {
+      if (!source) {
+        source = await loadSourceImage(session, packageId, item.path, signal);
+        signal?.throwIfAborted();
+      }
+      variant = await createVariant(source, item, options, target, signal);
+      variantCache.set(variantKey, variant);
+      cacheHit = source.cached ? 'image' : null;
+    }
+    variants.push({ label: formatSizeLabel(target), ...variant });
+  }
+  const [variant] = variants;
+
+  return {
+    idx: item.idx,
+    packageIdx: item.package_idx,
+    packageId,
+    title: item.title,
+    sort: Number(item.sort) || index + 1,
+    ext: variant.ext,
+    sourceExt: item.ext || null,
+    path: item.path,
+    buffer: variant.buffer,
+    width: variant.width,
+    height: variant.height,
+    sha256: variant.sha256,
+    mimeType: variant.mimeType,
+    size: variant.buffer.length,
+    resized: variant.resized,
+    converted: variant.converted,
+    animated: variant.animated,
+    frames: variant.frames,
+    budget: variant.budget,
+    warnings: [...new Set(variants.flatMap((entry) => entry.warnings))],
+    ...(variants.length > 1
+      ? {
+          variants: variants.map((entry) => ({
+            label: entry.label,
+            ext: entry.ext,
+            buffer: entry.buffer,
+            width: entry.width,
+            height: entry.height,
+            sha256: entry.sha256,
+            mimeType: entry.mimeType,
+            size: entry.buffer.length,
+            resized: entry.resized,
+            converted: entry.converted,
+            animated: entry.animated,
+            frames: entry.frames,
+            budget: entry.budget,
+          })),
+        }
+      : {}),
+    cacheHit,
+  };
+}
+
+function releaseToStore(item, index, itemStore) {
+  itemStore.save(item, index);
+  delete item.buffer;
+  item.variants?.forEach((variant) => {
+    delete variant.buffer;
+  });
+}
+
+async function collectPackageItems({
+  session,
+  packageId,
+  options,
+  signal,
+  concurrency,
+  reusableItems,
+  itemStore,
+  onDetail,
+  onItemProgress,
+}) {
+  const { data: detail, cached: detailCached } = await loadPackageDetail(
+    session,
+    packageId,
+    signal,
+  );
+  onDetail?.(detail, { cached: detailCached });
+
+  const total = detail.detail.length;
+  let completedCount = 0;
+  let cacheHits = 0;
+  const failedItems = [];
+
+  const results = await mapWithConcurrency(
+    detail.detail,
+    concurrency,
+    async (item, index) => {
+      signal?.throwIfAborted();
+
+      const candidate = reusableItems?.get(`${packageId}:${item.idx}`);
+      const reusable =
+        candidate?.storageKey || candidate?.buffer ? candidate : null;
+      let processed = reusable ? { ...reusable, packageId } : null;
+      if (!processed) {
+        try {
+          processed = await processPackageItem({
+            session,
+            packageId,
+            item,
+            index,
+            options,
+            signal,
+          });
+          if (itemStore) {
+            releaseToStore(processed, index, itemStore);
+          }
+        } catch (error) {
+          if (signal?.aborted) {
+            throw error;
+          }
+          failedItems.push({
+            idx: item.idx,
+            packageId,
+            title: item.title,
+            sort: Number(item.sort) || index + 1,
+            error:
+              error && typeof error.message === 'string'
+                ? error.message
+                : '알 수 없는 오류가 발생했습니다.',
+          });
+        }
+      }
+
+      completedCount += 1;
+      if (!reusable && processed?.cacheHit) {
+        cacheHits += 1;
+      }
+      onItemProgress?.({
+        completedCount,
+        failedCount: failedItems.length,
+        cacheHits,
+        total,
+        processed,
+        reused: Boolean(reusable),
       });
+      return processed;
+    },
+  );
+
+  failedItems.sort((a, b) => a.sort - b.sort);
+  return {
+    info: detail.info,
+    tags: detail.tags,
+    items: results.filter(Boolean),
+    failedItems,
+  };
+}
+
+function describeExportOptions(options) {
+  const {
+    presetOption,
+    resizeOption,
+    sizeOptions,
+    layoutOptions,
+    outputOptions,
+    budgetOption,
+    indexOption,
+    namingOptions,
+    containerOptions,
+  } = resolveProcessingOptions(options);
+  return {
+    preset: presetOption,
+    resize: resizeOption,
+    sizes: sizeOptions,
+    ...layoutOptions,
+    ...outputOptions,
+    maxBytes: budgetOption,
+    index: indexOption,
+    ...namingOptions,
+    ...containerOptions,
+  };
+}
+
+// 프리셋은 플랫폼 규칙에 맞춘 이모지 이름을 쓰므로 파일 이름 템플릿은 프리셋이 없을 때만 적용됩니다.
+function buildPackageEntries(items, options, { title, packageId }) {
+  const { presetOption, namingOptions } = resolveProcessingOptions(options);
+  return presetOption
+    ? buildPresetEntries(items, presetOption, { title, packageId })
+    : buildArchiveEntries(items, namingOptions, { title, packageId });
+}
+
+function buildArchiveBasename(options, title, packageId) {
+  const { namingOptions } = resolveProcessingOptions(options);
+  return renderArchiveBasename({
+    template: namingOptions.archiveTemplate,
+    mode: namingOptions.nameMode,
+    packageTitle: title,
+    packageId,
+  });
+}
+
+function buildOutputFilename(options, title, packageId) {
+  const { containerOptions } = resolveProcessingOptions(options);
+  return `${buildArchiveBasename(options, title, packageId)}${
+    getOutputContainer(containerOptions.container).extension
+  }`;
+}
+
+function writePackageOutput(entries, archivePath, options, extra) {
+  const { containerOptions } = resolveProcessingOptions(options);
+  return writeOutput(entries, archivePath, {
+    container: containerOptions.container,
+    compressionLevel: containerOptions.compression,
+    ...extra,
+  });
+}
+
+function collectWarnings(items) {
+  return items.flatMap((item) =>
+    item.warnings.map((message) => ({
+      idx: item.idx,
+      packageId: item.packageId,
+      title: item.title,
+      message,
+    })),
+  );
+}
+
+function buildPreviews(items) {
+  return items.slice(0, PREVIEW_COUNT).map((item) => ({
+    idx: item.idx,
+    title: item.title,
+    mimeType: item.mimeType,
+  }));
+}
+
+function describeItemProgress({
+  completedCount,
+  failedCount,
+  cacheHits,
+  total,
+  processed,
+  reused,
+}) {
+  const notes = [];
+  if (reused) {
+    notes.push('기존 결과 재사용');
+  } else if (processed?.resized) {
+    notes.push('리사이즈 적용');
+  }
+  if (!reused && processed?.converted) {
+    notes.push('형식 변환');
+  }
+  if (cacheHits) {
+    notes.push(`캐시 ${cacheHits}개`);
+  }
+  if (failedCount) {
+    notes.push(`실패 ${failedCount}개`);
+  }
+  return `${completedCount}/${total}개의 이미지를 저장했습니다.${notes
+    .map((note) => ` (${note})`)
+    .join('')}`;
+}
+
+// 요청 한도 때문에 기다릴 때는 마지막 진행률을 그대로 둔 채 'waiting' 단계로 알립니다.
+function trackProgress(onProgress) {
+  let lastUpdate = { stage: null, progress: 0 };
+  const report = (update) => {
+    lastUpdate = update;
+    onProgress?.(update);
+  };
+  report.waiting = () => {
+    if (lastUpdate.stage === 'waiting') {
+      return;
+    }
+    report({
+      stage: 'waiting',
+      progress: lastUpdate.progress,
+      message: '요청 한도에 걸려 디시콘 서버 응답을 기다리는 중입니다.',
     });
+  };
+  return report;
+}
 
-    archive.finalize();
+// 스프라이트 시트는 좌표 파일을 따로 돌려줄 곳이 없어 시트와 JSON을 ZIP 하나로 묶습니다.
+async function createItemArchive({
+  items,
+  packages,
+  options = {},
+  title,
+  packageId,
+  archivePath,
+  readItem,
+  signal,
+}) {
+  const entries = buildPackageEntries(items, options, { title, packageId });
+  entries.push(
+    ...buildManifestEntries({
+      packages,
+      entries,
+      options: describeExportOptions(options),
+    }),
+  );
+  return writePackageOutput(entries, archivePath, options, {
+    title: title || 'dccon',
+    packages,
+    bundleAtlas: true,
+    readItem,
+    signal,
   });
 }
 
-async function downloadDcConPackage({ packageId, onProgress, options = {} }) {
-  const session = await initializeSession();
-  onProgress?.({
+async function downloadDcConPackage({
+  packageId,
+  onProgress,
+  options = {},
+  signal,
+  concurrency = DEFAULT_IMAGE_CONCURRENCY,
+  archivePath,
+  outputDirectory,
+  reusableItems,
+  itemStore,
+}) {
+  signal?.throwIfAborted();
+  const report = trackProgress(onProgress);
+  const session = await initializeSession(signal, report.waiting);
+  report({
     stage: 'session',
     progress: 0.05,
     message: '세션을 초기화하는 중입니다.',
   });
 
-  const detail = await fetchPackageDetail(session, packageId);
-  onProgress?.({
-    stage: 'detail',
-    progress: 0.15,
-    message: '디시콘 상세 정보를 불러왔습니다.',
+  const { info, tags, items, failedItems } = await collectPackageItems({
+    session,
+    packageId,
+    options,
+    signal,
+    concurrency,
+    reusableItems,
+    itemStore,
+    onDetail: (_detail, { cached }) => {
+      report({
+        stage: 'detail',
+        progress: 0.15,
+        message: cached
+          ? '디시콘 상세 정보를 캐시에서 불러왔습니다.'
+          : '디시콘 상세 정보를 불러왔습니다.',
+      });
+    },
+    onItemProgress: (itemProgress) => {
+      report({
+        stage: 'image',
+        progress:
+          0.15 + (itemProgress.completedCount / itemProgress.total) * 0.75,
+        message: describeItemProgress(itemProgress),
+      });
+    },
   });
 
-  const resizeOption =
-    typeof options.resize === 'number' && options.resize > 0
-      ? options.resize
-      : null;
-
-  const items = [];
-  for (let index = 0; index < detail.detail.length; index += 1) {
-    const item = detail.detail[index];
-    const { buffer, mimeType } = await fetchImageBuffer(session, item.path);
-    const processed = await applyResize(
-      buffer,
-      item.ext,
-      mimeType,
-      resizeOption,
-    );
+  if (!items.length && failedItems.length) {
+    throw new Error('이미지를 하나도 받지 못했습니다.');
+  }
 
-    items.push({
-      idx: item.idx,
-      packageIdx: item.package_idx,
-      title: item.title,
-      sort: Number(item.sort) || index + 1,
-      ext: processed.ext || item.ext || 'png',
-      path: item.path,
-      buffer: processed.buffer,
-      mimeType: processed.mimeType || mimeType,
-      size: processed.buffer.length,
-      resized: processed.resized,
-    });
+  const exportOptions = describeExportOptions(options);
+  const archiveFilename = buildOutputFilename(
+    options,
+    exportOptions.preset
+      ? `${info?.title || 'dccon'}_${exportOptions.preset}`
+      : info?.title,
+    packageId,
+  );
+  const entries = buildPackageEntries(items, options, {
+    title: info?.title,
+    packageId,
+  });
+  const packages = [{ packageId, info, tags, items, failedItems }];
+  entries.push(
+    ...buildManifestEntries({
+      packages,
+      entries,
+      options: exportOptions,
+    }),
+  );
+  const archive = outputDirectory
+    ? await writeDirectory(entries, outputDirectory, signal, itemStore?.read)
+    : await writePackageOutput(entries, archivePath, options, {
+        filename: archiveFilename,
+        title: info?.title || 'dccon',
+        packages,
+        readItem: itemStore?.read,
+        signal,
+      });
+  report({
+    stage: 'archive',
+    progress: 0.95,
+    message: outputDirectory
+      ? '폴더에 파일을 저장했습니다.'
+      : `${archive.label} 파일을 생성했습니다.`,
+  });
 
-    onProgress?.({
-      stage: 'image',
-      progress: 0.15 + ((index + 1) / detail.detail.length) * 0.75,
-      message: `${index + 1}/${detail.detail.length}개의 이미지를 저장했습니다.${
-        processed.resized ? ' (리사이즈 적용)' : ''
-      }`,
+  report({
+    stage: 'complete',
+    progress: 1,
+    message: '모든 작업이 완료되었습니다.',
+  });
+
+  const output = outputDirectory
+    ? { directory: { path: archive.path, size: archive.size } }
+    : {
+        zip: {
+          path: archive.path,
+          filename: archiveFilename,
+          size: archive.size,
+          container: archive.container,
+          atlas: archive.atlas ?? null,
+        },
+      };
+
+  return {
+    info,
+    items,
+    previews: buildPreviews(items),
+    warnings: collectWarnings(items),
+    failedItems,
+    options: exportOptions,
+    ...output,
+  };
+}
+
+async function downloadDcConBatch({
+  packageIds,
+  onProgress,
+  onPackageProgress,
+  options = {},
+  signal,
+  concurrency = DEFAULT_IMAGE_CONCURRENCY,
+  archivePath,
+  reusableItems,
+  itemStore,
+}) {
+  signal?.throwIfAborted();
+  const report = trackProgress(onProgress);
+  const session = await initializeSession(signal, report.waiting);
+  report({
+    stage: 'session',
+    progress: 0.05,
+    message: '세션을 초기화하는 중입니다.',
+  });
+
+  const packageCount = packageIds.length;
+  const results = [];
+  const usedFolders = new Set();
+
+  for (let index = 0; index < packageCount; index += 1) {
+    const packageId = packageIds[index];
+    const packageStart = 0.05 + (index / packageCount) * 0.85;
+    const packageSpan = 0.85 / packageCount;
+
+    onPackageProgress?.(packageId, {
+      status: 'processing',
+      progress: 0,
+      message: '디시콘 상세 정보를 불러오는 중입니다.',
     });
+
+    try {
+      const { info, tags, items, failedItems } = await collectPackageItems({
+        session,
+        packageId,
+        options,
+        signal,
+        concurrency,
+        reusableItems,
+        itemStore,
+        onItemProgress: (itemProgress) => {
+          const ratio = itemProgress.completedCount / itemProgress.total;
+          const message = describeItemProgress(itemProgress);
+          onPackageProgress?.(packageId, {
+            status: 'processing',
+            progress: ratio,
+            message,
+          });
+          report({
+            stage: 'image',
+            progress: packageStart + ratio * packageSpan,
+            message: `[${index + 1}/${packageCount}] ${message}`,
+          });
+        },
+      });
+
+      if (!items.length && failedItems.length) {
+        throw new Error('이미지를 하나도 받지 못했습니다.');
+      }
+
+      const folder = claimUniqueName(
+        buildArchiveBasename(options, info?.title, packageId),
+        usedFolders,
+      );
+      results.push({ packageId, info, tags, items, failedItems, folder });
+      onPackageProgress?.(packageId, {
+        status: failedItems.length ? 'completed_with_errors' : 'completed',
+        progress: 1,
+        title: info?.title ?? null,
+        itemCount: items.length,
+        error: null,
+        message: failedItems.length
+          ? `${items.length}개의 이미지를 저장했고 ${failedItems.length}개는 실패했습니다.`
+          : `${items.length}개의 이미지를 저장했습니다.`,
+      });
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      onPackageProgress?.(packageId, {
+        status: 'failed',
+        error:
+          error && typeof error.message === 'string'
+            ? error.message
+            : '알 수 없는 오류가 발생했습니다.',
+        message: '모음집을 가져오지 못했습니다.',
+      });
+    }
   }
 
-  const archiveFilename = buildArchiveFilename(detail.info?.title, packageId);
-  const zipBuffer = await createZipBuffer(items);
-  onProgress?.({
+  if (!results.length) {
+    throw new Error('모든 모음집을 가져오지 못했습니다.');
+  }
+
+  const entries = results.flatMap(({ info, items, folder, packageId }) =>
+    buildPackageEntries(items, options, {
+      title: info?.title,
+      packageId,
+    }).map((entry) => ({ ...entry, name: `${folder}/${entry.name}` })),
+  );
+  const exportOptions = describeExportOptions(options);
+  entries.push(
+    ...buildManifestEntries({
+      packages: results,
+      entries,
+      options: exportOptions,
+    }),
+  );
+  const archiveFilename = buildOutputFilename(
+    options,
+    `dccon_batch_${results.length}`,
+    new Date().toISOString().slice(0, 10).replace(/-/g, ''),
+  );
+  const archive = await writePackageOutput(entries, archivePath, options, {
+    filename: archiveFilename,
+    title: `디시콘 모음집 ${results.length}개`,
+    packages: results,
+    readItem: itemStore?.read,
+    signal,
+  });
+  report({
     stage: 'archive',
     progress: 0.95,
-    message: 'ZIP 파일을 생성했습니다.',
+    message: `${archive.label} 파일을 생성했습니다.`,
   });
 
-  const previews = items.slice(0, PREVIEW_COUNT).map((item) => ({
-    idx: item.idx,
-    title: item.title,
-    mimeType: item.mimeType,
-    dataUrl: `data:${item.mimeType};base64,${item.buffer.toString('base64')}`,
-  }));
+  const items = results.flatMap((result) => result.items);
+  const failedItems = results.flatMap((result) => result.failedItems);
 
-  onProgress?.({
+  report({
     stage: 'complete',
     progress: 1,
     message: '모든 작업이 완료되었습니다.',
   });
 
   return {
-    info: detail.info,
+    packages: results.map(({ packageId, info, items: packageItems }) => ({
+      packageId,
+      info,
+      itemCount: packageItems.length,
+    })),
     items,
-    previews,
-    options: {
-      resize: resizeOption,
-    },
+    previews: buildPreviews(items),
+    warnings: collectWarnings(items),
+    failedItems,
+    options: exportOptions,
     zip: {
-      buffer: zipBuffer,
+      path: archive.path,
       filename: archiveFilename,
-      size: zipBuffer.length,
+      size: archive.size,
+      container: archive.container,
+      atlas: archive.atlas ?? null,
     },
   };
 }
 
 module.exports = {
   downloadDcConPackage,
+  downloadDcConBatch,
+  createItemArchive,
+  buildArchiveBasename,
+  buildOutputFilename,
+  configureUpstream,
+  getCacheStats,
 };
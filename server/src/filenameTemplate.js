@@ -0,0 +1,302 @@
+'use strict';
+
+const { sanitizeFilename } = require('./utils');
+
+const DEFAULT_ENTRY_TEMPLATE = '{sort}_{title}.{ext}';
+const DEFAULT_ARCHIVE_TEMPLATE = '{package}_{packageId}';
+const NAME_MODES = new Set(['original', 'romanize', 'slug']);
+const MAX_TEMPLATE_LENGTH = 120;
+const MAX_BASENAME_LENGTH = 120;
+const DEFAULT_SORT_WIDTH = 3;
+const MAX_SORT_WIDTH = 10;
+
+const PLACEHOLDERS = {
+  entry: new Set(['sort', 'idx', 'title', 'package', 'packageId', 'ext']),
+  archive: new Set(['package', 'packageId']),
+};
+const PLACEHOLDER_PATTERN = /\{([a-zA-Z]+)(?::(\d+))?\}/g;
+const INVALID_TEMPLATE_CHARS = /[\\/:*?"<>|\u0000-\u001f]/;
+
+// 국어의 로마자 표기법을 글자 단위로만 적용합니다. 발음 변화(연음, 자음동화)는 반영하지 않습니다.
+const INITIALS = splitTable('g,kk,n,d,tt,r,m,b,pp,s,ss,,j,jj,ch,k,t,p,h');
+const MEDIALS = splitTable(
+  'a,ae,ya,yae,eo,e,yeo,ye,o,wa,wae,oe,yo,u,wo,we,wi,yu,eu,ui,i',
+);
+const FINALS = splitTable(
+  ',k,k,k,n,n,n,t,l,k,m,l,l,l,p,l,m,p,p,t,t,ng,t,t,k,t,p,t',
+);
+const COMPAT_JAMO = [
+  ...splitTable(
+    'g,kk,gs,n,nj,nh,d,tt,r,lg,lm,lb,ls,lt,lp,lh,m,b,pp,bs,s,ss,ng,j,jj,ch,k,t,p,h',
+  ),
+  ...MEDIALS,
+];
+
+function splitTable(list) {
+  return list.split(',');
+}
+
+function romanizeHangul(text) {
+  let result = '';
+  for (const char of String(text || '')) {
+    const code = char.codePointAt(0);
+    if (code >= 0xac00 && code <= 0xd7a3) {
+      const offset = code - 0xac00;
+      result +=
+        INITIALS[Math.floor(offset / 588)] +
+        MEDIALS[Math.floor((offset % 588) / 28)] +
+        FINALS[offset % 28];
+    } else if (code >= 0x3131 && code <= 0x3163) {
+      result += COMPAT_JAMO[code - 0x3131];
+    } else {
+      result += char;
+    }
+  }
+  return result;
+}
+
+function toAscii(text) {
+  return romanizeHangul(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]/g, ' ');
+}
+
+function slugify(text) {
+  return toAscii(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function formatValue(value, mode) {
+  if (mode === 'slug') {
+    return slugify(value);
+  }
+  const text = mode === 'romanize' ? toAscii(value) : String(value ?? '');
+  return sanitizeFilename(text, '');
+}
+
+function normalizeNameMode(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const normalized = value.trim().toLowerCase();
+  return NAME_MODES.has(normalized) ? normalized : null;
+}
+
+function validateTemplate(template, kind) {
+  if (typeof template !== 'string' || !template.trim()) {
+    return '템플릿이 비어 있습니다.';
+  }
+  if (template.length > MAX_TEMPLATE_LENGTH) {
+    return `템플릿은 ${MAX_TEMPLATE_LENGTH}자 이하로 입력해주세요.`;
+  }
+  const literal = template.replace(PLACEHOLDER_PATTERN, '');
+  if (INVALID_TEMPLATE_CHARS.test(literal)) {
+    return '파일 이름에 쓸 수 없는 문자(\\ / : * ? " < > |)가 있습니다.';
+  }
+  if (/[{}]/.test(literal)) {
+    return '중괄호는 {sort} 같은 자리표시자에만 쓸 수 있습니다.';
+  }
+
+  const unknown = [...template.matchAll(PLACEHOLDER_PATTERN)]
+    .map(([, name]) => name)
+    .filter((name) => !PLACEHOLDERS[kind].has(name));
+  if (unknown.length) {
+    return `지원하지 않는 자리표시자입니다: ${[...new Set(unknown)]
+      .map((name) => `{${name}}`)
+      .join(', ')}`;
+  }
+
+  const widths = [...template.matchAll(PLACEHOLDER_PATTERN)]
+    .filter(([, , width]) => width !== undefined)
+    .map(([, , width]) => Number(width));
+  if (widths.some((width) => width < 1 || width > MAX_SORT_WIDTH)) {
+    return `{sort}의 자릿수는 1~${MAX_SORT_WIDTH} 사이로 입력해주세요.`;
+  }
+  return null;
+}
+
+function normalizeTemplate(value, kind) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  const trimmed = value.trim();
+  return validateTemplate(trimmed, kind) ? null : trimmed;
+}
+
+function assertTemplateOptions({ nameTemplate, archiveTemplate } = {}) {
+  const checks = [
+    ['파일 이름 템플릿', nameTemplate, 'entry'],
+    ['압축 파일 이름 템플릿', archiveTemplate, 'archive'],
+  ];
+  for (const [label, template, kind] of checks) {
+    if (template === undefined || template === null || template === '') {
+      continue;
+    }
+    const message = validateTemplate(template, kind);
+    if (message) {
+      const error = new Error(`${label}: ${message}`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+}
+
+function renderTemplate(template, values, mode) {
+  return template.replace(PLACEHOLDER_PATTERN, (match, name, width) => {
+    if (name === 'sort') {
+      return String(values.sort ?? '').padStart(
+        width === undefined ? DEFAULT_SORT_WIDTH : Number(width),
+        '0',
+      );
+    }
+    if (name === 'ext' || name === 'packageId' || name === 'idx') {
+      return formatValue(values[name], 'original');
+    }
+    return formatValue(values[name], mode);
+  });
+}
+
+function cleanBasename(name, mode) {
+  const cleaned =
+    mode === 'slug'
+      ? name.replace(/-{2,}/g, '-').replace(/^[-_.]+|[-_.]+$/g, '')
+      : name.replace(/\s+/g, ' ').replace(/^[\s.]+|[\s.]+$/g, '');
+  return cleaned.slice(0, MAX_BASENAME_LENGTH).trim();
+}
+
+function splitExtension(name, ext) {
+  const suffix = `.${ext}`;
+  return name.toLowerCase().endsWith(suffix.toLowerCase())
+    ? name.slice(0, -suffix.length)
+    : name;
+}
+
+function claimFilename(basename, ext, used) {
+  const suffix = ext ? `.${ext}` : '';
+  let candidate = `${basename}${suffix}`;
+  let counter = 2;
+  while (used.has(candidate.toLowerCase())) {
+    candidate = `${basename}_${counter}${suffix}`;
+    counter += 1;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+function createEntryNamer({ template, mode, packageTitle, packageId } = {}) {
+  const entryTemplate =
+    normalizeTemplate(template, 'entry') || DEFAULT_ENTRY_TEMPLATE;
+  const nameMode = normalizeNameMode(mode) || 'original';
+  const used = new Set();
+
+  return (item, index = 0) => {
+    const ext = item.ext || 'png';
+    const sort = item.sort || index + 1;
+    const fallback = `dccon_${String(sort).padStart(DEFAULT_SORT_WIDTH, '0')}`;
+    const rendered = renderTemplate(
+      entryTemplate,
+      {
+        sort,
+        idx: item.idx,
+        title: formatValue(item.title, nameMode) ? item.title : fallback,
+        package: formatValue(packageTitle, nameMode) ? packageTitle : 'dccon',
+        packageId: packageId ?? item.packageId,
+        ext,
+      },
+      nameMode,
+    );
+    const basename =
+      cleanBasename(splitExtension(rendered, ext), nameMode) || fallback;
+    return claimFilename(basename, ext, used);
+  };
+}
+
+function renderArchiveBasename({ template, mode, packageTitle, packageId }) {
+  const archiveTemplate =
+    normalizeTemplate(template, 'archive') || DEFAULT_ARCHIVE_TEMPLATE;
+  const nameMode = normalizeNameMode(mode) || 'original';
+  const rendered = renderTemplate(
+    archiveTemplate,
+    {
+      package: formatValue(packageTitle, nameMode) ? packageTitle : 'dccon',
+      packageId,
+    },
+    nameMode,
+  );
+  return (
+    cleanBasename(rendered.replace(/_+$/, ''), nameMode) ||
+    `dccon${packageId ? `_${packageId}` : ''}`
+  );
+}
+
+const SAMPLE_PACKAGE = { title: '멍멍이 디시콘', packageId: '123456' };
+const SAMPLE_ITEMS = [
+  { sort: 1, idx: '1001', title: '안녕하세요', ext: 'png' },
+  { sort: 2, idx: '1002', title: 'ㅋㅋㅋ', ext: 'gif' },
+  { sort: 3, idx: '1003', title: 'ㅋㅋㅋ', ext: 'gif' },
+  { sort: 4, idx: '1004', title: 'Good Job!', ext: 'webp' },
+  { sort: 5, idx: '1005', title: '', ext: 'png' },
+];
+const MAX_PREVIEW_ITEMS = 20;
+
+function previewFilenames({
+  nameTemplate,
+  archiveTemplate,
+  nameMode,
+  packageTitle,
+  packageId,
+  items,
+  extension = '.zip',
+} = {}) {
+  const errors = {
+    nameTemplate: nameTemplate ? validateTemplate(nameTemplate, 'entry') : null,
+    archiveTemplate: archiveTemplate
+      ? validateTemplate(archiveTemplate, 'archive')
+      : null,
+  };
+  const samples = Array.isArray(items) && items.length ? items : SAMPLE_ITEMS;
+  const packageInfo =
+    packageTitle || packageId
+      ? { title: packageTitle, packageId }
+      : SAMPLE_PACKAGE;
+  const naming = {
+    mode: nameMode,
+    packageTitle: packageInfo.title,
+    packageId: packageInfo.packageId,
+  };
+
+  const nameEntry = createEntryNamer({ ...naming, template: nameTemplate });
+  return {
+    entries: samples.slice(0, MAX_PREVIEW_ITEMS).map((item, index) => ({
+      title: item?.title ?? '',
+      name: nameEntry(
+        {
+          sort: item?.sort,
+          idx: item?.idx,
+          title: typeof item?.title === 'string' ? item.title : '',
+          ext: typeof item?.ext === 'string' ? item.ext : 'png',
+        },
+        index,
+      ),
+    })),
+    archive: `${renderArchiveBasename({ ...naming, template: archiveTemplate })}${extension}`,
+    errors,
+  };
+}
+
+module.exports = {
+  DEFAULT_ENTRY_TEMPLATE,
+  DEFAULT_ARCHIVE_TEMPLATE,
+  NAME_MODES,
+  romanizeHangul,
+  validateTemplate,
+  normalizeTemplate,
+  normalizeNameMode,
+  assertTemplateOptions,
+  createEntryNamer,
+  renderArchiveBasename,
+  previewFilenames,
+};
@@ -0,0 +1,433 @@
+'use strict';
+
+const sharp = require('sharp');
+const { assembleApng } = require('./apngEncoder');
+
+const RESIZABLE_FORMATS = new Set(['png', 'jpeg', 'jpg', 'webp', 'gif']);
+const ANIMATED_FORMATS = new Set(['gif', 'webp']);
+const OUTPUT_FORMATS = new Set(['png', 'webp', 'gif', 'apng']);
+const ANIMATED_OUTPUT_FORMATS = new Set(['gif', 'webp', 'apng']);
+const THUMBNAIL_SIZE = 128;
+// 칸 사이 여백은 확대했을 때 옆 이미지가 번져 보이지 않게 하려는 것입니다.
+const SPRITE_PADDING = 2;
+const MAX_SPRITE_DIMENSION = 16384;
+const MIME_BY_FORMAT = {
+  png: 'image/png',
+  apng: 'image/apng',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif',
+};
+
+function canResize(ext, mimeType) {
+  const normalizedExt = (ext || '').toLowerCase();
+  if (RESIZABLE_FORMATS.has(normalizedExt)) {
+    return true;
+  }
+  if (!mimeType) {
+    return false;
+  }
+  const lowerMime = mimeType.toLowerCase();
+  return Object.values(MIME_BY_FORMAT).includes(lowerMime);
+}
+
+async function readImageInfo(buffer) {
+  try {
+    const metadata = await sharp(buffer, { animated: true }).metadata();
+    const frames = metadata.pages || 1;
+    return {
+      format: metadata.format,
+      width: metadata.width,
+      height: metadata.pageHeight || metadata.height,
+      frames,
+      animated: frames > 1,
+      delay: metadata.delay,
+      loop: metadata.loop,
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+function normalizeFormatName(format) {
+  const lower = (format || '').toLowerCase();
+  if (lower === 'jpeg') {
+    return 'jpg';
+  }
+  return lower === 'apng' ? 'png' : lower;
+}
+
+function buildAnimationOptions(imageInfo) {
+  if (!imageInfo) {
+    return {};
+  }
+  return {
+    loop: imageInfo.loop ?? 0,
+    ...(Array.isArray(imageInfo.delay) ? { delay: imageInfo.delay } : {}),
+  };
+}
+
+function applyEncoder(pipeline, format, output, animationInfo) {
+  const animationOptions = buildAnimationOptions(animationInfo);
+  const hasQuality = typeof output.quality === 'number';
+
+  if (format === 'webp') {
+    return pipeline.webp({
+      ...animationOptions,
+      ...(hasQuality ? { quality: output.quality } : {}),
+      ...(output.lossless ? { lossless: true } : {}),
+    });
+  }
+  if (format === 'gif') {
+    return pipeline.gif({
+      ...animationOptions,
+      ...(hasQuality && !output.lossless
+        ? { colours: Math.max(2, Math.round((output.quality / 100) * 256)) }
+        : {}),
+    });
+  }
+  if (format === 'jpeg' || format === 'jpg') {
+    return pipeline.jpeg(hasQuality ? { quality: output.quality } : {});
+  }
+  if (format === 'png') {
+    return pipeline.png(
+      hasQuality && !output.lossless
+        ? { palette: true, quality: output.quality }
+        : {},
+    );
+  }
+  return pipeline;
+}
+
+async function encodeApng(pipeline, imageInfo) {
+  const { data, info } = await pipeline
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const frameCount = imageInfo.frames;
+  const frameHeight = Math.round(info.height / frameCount);
+  const frameSize = info.width * frameHeight * 4;
+
+  const framePngs = [];
+  for (let frame = 0; frame < frameCount; frame += 1) {
+    framePngs.push(
+      await sharp(data.subarray(frame * frameSize, (frame + 1) * frameSize), {
+        raw: { width: info.width, height: frameHeight, channels: 4 },
+      })
+        .png()
+        .toBuffer(),
+    );
+  }
+
+  return assembleApng(framePngs, {
+    width: info.width,
+    height: frameHeight,
+    delays: imageInfo.delay,
+    loop: imageInfo.loop ?? 0,
+  });
+}
+
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+function resolveResizeTarget(size) {
+  if (typeof size === 'number') {
+    return size > 0
+      ? { width: size, height: size, fit: 'contain', background: null }
+      : null;
+  }
+  if (!size) {
+    return null;
+  }
+  const target = {
+    width: size.width || null,
+    height: size.height || null,
+    fit: size.fit || 'contain',
+    background: size.background || null,
+    trim: Boolean(size.trim),
+  };
+  return target.width || target.trim || target.background ? target : null;
+}
+
+async function extractFirstFrame(buffer) {
+  return sharp(buffer, { pages: 1 }).png().toBuffer();
+}
+
+async function applyResize(buffer, ext, mimeType, size, output = {}) {
+  const imageInfo = await readImageInfo(buffer);
+  const animation = {
+    animated: Boolean(imageInfo?.animated),
+    frames: imageInfo?.frames || 1,
+  };
+  const unchanged = {
+    buffer,
+    ext,
+    mimeType,
+    resized: false,
+    converted: false,
+    ...animation,
+  };
+
+  const target = resolveResizeTarget(size);
+  const targetFormat = output.format || null;
+  if ((!target && !targetFormat) || !canResize(ext, mimeType)) {
+    return unchanged;
+  }
+
+  const sourceFormat = (imageInfo?.format || ext || '').toLowerCase();
+  const outputFormat = targetFormat || sourceFormat;
+  const keepFrames =
+    animation.animated &&
+    ANIMATED_FORMATS.has(sourceFormat) &&
+    ANIMATED_OUTPUT_FORMATS.has(outputFormat);
+
+  const warnings = [];
+  try {
+    let pipeline = sharp(buffer, { animated: keepFrames });
+    if (target?.trim) {
+      // libvips는 여러 프레임 이미지의 여백 자르기를 지원하지 않습니다.
+      if (keepFrames) {
+        warnings.push('움직이는 이미지는 여백을 자르지 않았습니다.');
+      } else {
+        pipeline = pipeline.trim();
+      }
+    }
+    if (target?.width) {
+      pipeline = pipeline.resize(target.width, target.height, {
+        fit: target.fit,
+        withoutEnlargement: false,
+        background: target.background || TRANSPARENT,
+      });
+    }
+    if (
+      target?.background &&
+      (outputFormat === 'jpeg' || outputFormat === 'jpg')
+    ) {
+      pipeline = pipeline.flatten({ background: target.background });
+    }
+
+    let data;
+    let format;
+    if (outputFormat === 'apng' && keepFrames) {
+      data = await encodeApng(pipeline, imageInfo);
+      format = 'apng';
+    } else {
+      const encoded = await applyEncoder(
+        pipeline,
+        outputFormat === 'apng' ? 'png' : outputFormat,
+        output,
+        keepFrames ? imageInfo : null,
+      ).toBuffer({ resolveWithObject: true });
+      data = encoded.data;
+      format = (encoded.info?.format || outputFormat || '').toLowerCase();
+    }
+
+    const newExt = normalizeFormatName(format) || ext || 'png';
+    const newMime = MIME_BY_FORMAT[format] || mimeType || 'image/png';
+
+    return {
+      buffer: data,
+      ext: newExt,
+      mimeType: newMime,
+      resized: Boolean(target),
+      converted:
+        Boolean(targetFormat) &&
+        normalizeFormatName(format) !== normalizeFormatName(sourceFormat),
+      animated: keepFrames,
+      frames: keepFrames ? animation.frames : 1,
+      warnings,
+    };
+  } catch (error) {
+    console.warn('이미지 변환 실패:', error.message);
+    return unchanged;
+  }
+}
+
+// step 프레임마다 하나만 남기고, 빠진 프레임의 지연 시간은 남은 프레임에 더해 재생 시간을 유지합니다.
+async function dropFrames(buffer, imageInfo, step) {
+  const { data, info } = await sharp(buffer, { animated: true })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const frameHeight = imageInfo.height;
+  const frameSize = info.width * frameHeight * 4;
+  const delays = Array.isArray(imageInfo.delay) ? imageInfo.delay : [];
+
+  const frames = [];
+  const delay = [];
+  for (let frame = 0; frame < imageInfo.frames; frame += step) {
+    frames.push(data.subarray(frame * frameSize, (frame + 1) * frameSize));
+    delay.push(
+      delays
+        .slice(frame, frame + step)
+        .reduce((sum, value) => sum + (value || 0), 0),
+    );
+  }
+
+  return {
+    pipeline: sharp(Buffer.concat(frames), {
+      raw: {
+        width: info.width,
+        height: frameHeight * frames.length,
+        channels: 4,
+        pageHeight: frameHeight,
+      },
+    }),
+    imageInfo: {
+      ...imageInfo,
+      frames: frames.length,
+      animated: frames.length > 1,
+      ...(delays.length ? { delay } : {}),
+    },
+  };
+}
+
+async function reencodeImage(buffer, format, settings = {}) {
+  const imageInfo = await readImageInfo(buffer);
+  const animated = Boolean(imageInfo?.animated) && ANIMATED_FORMATS.has(format);
+  if (
+    settings.frameStep > 1 &&
+    (!animated || Math.ceil(imageInfo.frames / settings.frameStep) < 2)
+  ) {
+    return null;
+  }
+
+  let pipeline;
+  let animationInfo = animated ? imageInfo : null;
+  if (settings.frameStep > 1) {
+    ({ pipeline, imageInfo: animationInfo } = await dropFrames(
+      buffer,
+      imageInfo,
+      settings.frameStep,
+    ));
+  } else {
+    pipeline = sharp(buffer, { animated });
+  }
+  const animationOptions = buildAnimationOptions(animationInfo);
+  const colours = settings.colours ? { colours: settings.colours } : {};
+
+  if (format === 'png') {
+    pipeline = settings.lossless
+      ? pipeline.png({ compressionLevel: 9, adaptiveFiltering: true })
+      : pipeline.png({
+          palette: true,
+          quality: settings.quality ?? 100,
+          compressionLevel: 9,
+          ...colours,
+        });
+  } else if (format === 'webp') {
+    pipeline = pipeline.webp({
+      ...animationOptions,
+      effort: 6,
+      ...(settings.lossless
+        ? { lossless: true }
+        : { quality: settings.quality ?? 100 }),
+    });
+  } else if (format === 'gif') {
+    // GIF에는 품질 값이 없어서 프레임 사이 오차 허용치를 키우는 것으로 대신합니다.
+    pipeline = pipeline.gif({
+      ...animationOptions,
+      ...(settings.lossless
+        ? {}
+        : {
+            interFrameMaxError: Math.round(
+              ((100 - (settings.quality ?? 100)) / 100) * 32,
+            ),
+            ...colours,
+          }),
+    });
+  } else if (format === 'jpg' || format === 'jpeg') {
+    // JPEG는 다시 저장하면 항상 화질이 떨어지므로 품질을 낮추는 단계만 씁니다.
+    if (settings.lossless) {
+      return null;
+    }
+    pipeline = pipeline.jpeg({
+      quality: settings.quality ?? 100,
+      mozjpeg: true,
+    });
+  } else {
+    return null;
+  }
+
+  return {
+    buffer: await pipeline.toBuffer(),
+    frames: animationInfo?.frames || 1,
+  };
+}
+
+async function createThumbnail(buffer, size = THUMBNAIL_SIZE) {
+  try {
+    const data = await sharp(buffer)
+      .resize(size, size, {
+        fit: 'contain',
+        withoutEnlargement: true,
+        background: { r: 0, g: 0, b: 0, alpha: 0 },
+      })
+      .webp({ quality: 80 })
+      .toBuffer();
+    return { buffer: data, mimeType: MIME_BY_FORMAT.webp };
+  } catch (error) {
+    console.warn('미리보기 생성 실패:', error.message);
+    return null;
+  }
+}
+
+async function createSpriteSheet(buffers) {
+  const frames = [];
+  for (const buffer of buffers) {
+    const { data, info } = await sharp(buffer)
+      .ensureAlpha()
+      .png()
+      .toBuffer({ resolveWithObject: true });
+    frames.push({ data, width: info.width, height: info.height });
+  }
+
+  const cellWidth = Math.max(1, ...frames.map((frame) => frame.width));
+  const cellHeight = Math.max(1, ...frames.map((frame) => frame.height));
+  const columns = Math.max(1, Math.ceil(Math.sqrt(frames.length)));
+  const rows = Math.max(1, Math.ceil(frames.length / columns));
+  const width = columns * cellWidth + (columns - 1) * SPRITE_PADDING;
+  const height = rows * cellHeight + (rows - 1) * SPRITE_PADDING;
+  if (width > MAX_SPRITE_DIMENSION || height > MAX_SPRITE_DIMENSION) {
+    throw new Error(
+      `스프라이트 시트가 너무 큽니다 (${width} x ${height}). 이미지 크기를 줄이거나 다른 출력 형식을 골라주세요.`,
+    );
+  }
+
+  const cells = frames.map((frame, index) => ({
+    x: (index % columns) * (cellWidth + SPRITE_PADDING),
+    y: Math.floor(index / columns) * (cellHeight + SPRITE_PADDING),
+    width: frame.width,
+    height: frame.height,
+  }));
+  const buffer = await sharp({
+    create: {
+      width,
+      height,
+      channels: 4,
+      background: { r: 0, g: 0, b: 0, alpha: 0 },
+    },
+  })
+    .composite(
+      frames.map((frame, index) => ({
+        input: frame.data,
+        left: cells[index].x,
+        top: cells[index].y,
+      })),
+    )
+    .png()
+    .toBuffer();
+  return { buffer, width, height, cells };
+}
+
+module.exports = {
+  applyResize,
+  extractFirstFrame,
+  createSpriteSheet,
+  createThumbnail,
+  readImageInfo,
+  reencodeImage,
+  canResize,
+  MIME_BY_FORMAT,
+  OUTPUT_FORMATS,
+};
@@ -2,33 +2,79 @@
 
 require('dotenv').config({ override: true });
 
+const fs = require('fs');
 const express = require('express');
 const cors = require('cors');
 const {
+  restoreJobs,
   createJob,
+  createBatchJob,
   listJobs,
   getJob,
+  getQuotaUsage,
   getJobDownloadData,
+  getJobAtlas,
+  getJobItem,
+  getJobItemThumbnail,
+  exportJobItems,
+  retryMissingItems,
+  cancelJob,
+  deleteJob,
+  subscribeJobEvents,
+  createJobShare,
+  listJobShares,
+  revokeJobShare,
+  getSharedJob,
+  getSharedItem,
+  getSharedItemThumbnail,
+  startSharedDownload,
+  getJobWebhookDeliveries,
 } = require('./jobQueue');
+const {
+  authenticateRequest,
+  issueSessionToken,
+  verifyJobAccessToken,
+} = require('./auth');
+const { configureUpstream, getCacheStats } = require('./dcconDownloader');
+const { previewFilenames } = require('./filenameTemplate');
+const { startMockUpstream } = require('./mockUpstream');
+const { getOutputContainer } = require('./outputContainers');
+const { renderSharePage, renderShareErrorPage } = require('./sharePage');
+const { buildPublicUrl } = require('./utils');
+const {
+  getWebhookSetting,
+  setWebhookSetting,
+  deleteWebhookSetting,
+} = require('./webhooks');
 
 const PORT = process.env.PORT || 4000;
+const STREAM_HEARTBEAT_MS = 25 * 1000;
 
-function resolveSessionId(req) {
-  const headerValue = req.headers['x-session-id'];
-  if (Array.isArray(headerValue)) {
-    return headerValue[0]?.trim();
-  }
-  if (typeof headerValue === 'string') {
-    return headerValue.trim();
-  }
-  const queryValue = req.query?.session_id;
-  if (Array.isArray(queryValue)) {
-    return queryValue[0]?.trim();
-  }
-  if (typeof queryValue === 'string') {
-    return queryValue.trim();
-  }
-  return '';
+function requireIdentity({
+  allowQueryToken = false,
+  allowJobAccess = false,
+} = {}) {
+  return (req, res, next) => {
+    try {
+      let identity = authenticateRequest(req, { allowQueryToken });
+      if (!identity && allowJobAccess && typeof req.query.access === 'string') {
+        identity = {
+          id: verifyJobAccessToken(req.query.access, req.params.id),
+          type: 'jobAccess',
+        };
+      }
+      if (!identity) {
+        res.status(401).json({
+          error: '인증이 필요합니다. 세션 토큰이나 API 키를 함께 보내주세요.',
+        });
+        return;
+      }
+      req.identity = identity;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
 }
 
 const app = express();
@@ -36,25 +82,134 @@ app.use(cors());
 app.use(express.json());
 
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok' });
+  res.json({ status: 'ok', cache: getCacheStats() });
 });
 
-app.get('/api/jobs', (req, res) => {
-  const sessionId = resolveSessionId(req);
-  if (!sessionId) {
-    res.status(400).json({ error: '세션 식별자가 필요합니다.' });
-    return;
+app.post('/api/session', (req, res, next) => {
+  try {
+    const [, currentToken] =
+      (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i) || [];
+    const session = issueSessionToken({
+      currentToken: currentToken?.trim(),
+      clientKey: req.ip,
+    });
+    res.status(201).json({
+      token: session.token,
+      expiresAt: session.expiresAt,
+      quota: getQuotaUsage(session.sessionId),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/session', requireIdentity(), (req, res, next) => {
+  try {
+    const { id, type, name, expiresAt } = req.identity;
+    res.json({
+      type,
+      name: name ?? null,
+      expiresAt: expiresAt ?? null,
+      quota: getQuotaUsage(id),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/webhook', requireIdentity(), (req, res, next) => {
+  try {
+    res.json(getWebhookSetting(req.identity.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.put('/api/webhook', requireIdentity(), (req, res, next) => {
+  try {
+    res.json(setWebhookSetting(req.identity.id, req.body?.url));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/api/webhook', requireIdentity(), (req, res, next) => {
+  try {
+    deleteWebhookSetting(req.identity.id);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/filenames/preview', requireIdentity(), (req, res, next) => {
+  try {
+    const {
+      nameTemplate,
+      archiveTemplate,
+      nameMode,
+      packageTitle,
+      packageId,
+      items,
+      container,
+    } = req.body || {};
+    res.json(
+      previewFilenames({
+        nameTemplate,
+        archiveTemplate,
+        nameMode,
+        packageTitle,
+        packageId,
+        items,
+        extension: getOutputContainer(container).extension,
+      }),
+    );
+  } catch (error) {
+    next(error);
   }
+});
+
+app.get('/api/jobs', requireIdentity(), (req, res) => {
+  const sessionId = req.identity.id;
   res.json(listJobs(sessionId));
 });
 
-app.get('/api/jobs/:id', (req, res, next) => {
+app.get(
+  '/api/jobs/stream',
+  requireIdentity({ allowQueryToken: true }),
+  (req, res) => {
+    const sessionId = req.identity.id;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    send('snapshot', listJobs(sessionId));
+
+    const unsubscribe = subscribeJobEvents(sessionId, ({ type, job }) => {
+      send(type, job);
+    });
+    const heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+    }, STREAM_HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  },
+);
+
+app.get('/api/jobs/:id', requireIdentity(), (req, res, next) => {
   try {
-    const sessionId = resolveSessionId(req);
-    if (!sessionId) {
-      res.status(400).json({ error: '세션 식별자가 필요합니다.' });
-      return;
-    }
+    const sessionId = req.identity.id;
 
     const job = getJob(sessionId, req.params.id);
     if (!job) {
@@ -67,43 +222,406 @@ app.get('/api/jobs/:id', (req, res, next) => {
   }
 });
 
-app.post('/api/jobs', (req, res, next) => {
+app.post('/api/jobs', requireIdentity(), (req, res, next) => {
   try {
-    const sessionId = resolveSessionId(req);
-    if (!sessionId) {
-      res.status(400).json({ error: '세션 식별자가 필요합니다.' });
-      return;
-    }
+    const sessionId = req.identity.id;
 
-    const { url, resize } = req.body || {};
+    const {
+      url,
+      preset,
+      resize,
+      sizes,
+      fit,
+      background,
+      trim,
+      format,
+      quality,
+      lossless,
+      maxBytes,
+      index,
+      nameTemplate,
+      archiveTemplate,
+      nameMode,
+      container,
+      compression,
+      callbackUrl,
+      priority,
+    } = req.body || {};
     if (!url || typeof url !== 'string') {
       res.status(400).json({ error: 'URL을 입력해주세요.' });
       return;
     }
 
-    const job = createJob(url, sessionId, { resize });
+    const job = createJob(url, sessionId, {
+      preset,
+      resize,
+      sizes,
+      fit,
+      background,
+      trim,
+      format,
+      quality,
+      lossless,
+      maxBytes,
+      index,
+      nameTemplate,
+      archiveTemplate,
+      nameMode,
+      container,
+      compression,
+      callbackUrl,
+      priority,
+      identityType: req.identity.type,
+    });
+    res.status(201).json(job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/jobs/:id/cancel', requireIdentity(), (req, res, next) => {
+  try {
+    const sessionId = req.identity.id;
+
+    res.json(cancelJob(sessionId, req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/jobs/:id/retry-missing', requireIdentity(), (req, res, next) => {
+  try {
+    const sessionId = req.identity.id;
+
+    res.json(retryMissingItems(sessionId, req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/api/jobs/:id', requireIdentity(), (req, res, next) => {
+  try {
+    const sessionId = req.identity.id;
+
+    deleteJob(sessionId, req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/api/jobs/batch', requireIdentity(), (req, res, next) => {
+  try {
+    const sessionId = req.identity.id;
+
+    const {
+      urls,
+      preset,
+      resize,
+      sizes,
+      fit,
+      background,
+      trim,
+      format,
+      quality,
+      lossless,
+      maxBytes,
+      index,
+      nameTemplate,
+      archiveTemplate,
+      nameMode,
+      container,
+      compression,
+      callbackUrl,
+      priority,
+    } = req.body || {};
+    if (!urls || (typeof urls !== 'string' && !Array.isArray(urls))) {
+      res.status(400).json({ error: 'URL 목록을 입력해주세요.' });
+      return;
+    }
+
+    const job = createBatchJob(urls, sessionId, {
+      preset,
+      resize,
+      sizes,
+      fit,
+      background,
+      trim,
+      format,
+      quality,
+      lossless,
+      maxBytes,
+      index,
+      nameTemplate,
+      archiveTemplate,
+      nameMode,
+      container,
+      compression,
+      callbackUrl,
+      priority,
+      identityType: req.identity.type,
+    });
     res.status(201).json(job);
   } catch (error) {
     next(error);
   }
 });
 
-app.get('/api/jobs/:id/download', (req, res, next) => {
+function sendItemImage(res, image) {
+  res.set({
+    'Content-Type': image.mimeType,
+    'Cache-Control': `private, max-age=${image.maxAge}, immutable`,
+    ETag: `"${image.etag}"`,
+  });
+  res.send(image.buffer);
+}
+
+app.get(
+  '/api/jobs/:id/items/:idx',
+  requireIdentity({ allowJobAccess: true }),
+  (req, res, next) => {
+    try {
+      const sessionId = req.identity.id;
+
+      const image = getJobItem(sessionId, req.params.id, req.params.idx);
+      if (req.query.download !== undefined) {
+        res.attachment(image.filename);
+      }
+      sendItemImage(res, image);
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+app.get(
+  '/api/jobs/:id/items/:idx/thumbnail',
+  requireIdentity({ allowJobAccess: true }),
+  async (req, res, next) => {
+    try {
+      const sessionId = req.identity.id;
+
+      const image = await getJobItemThumbnail(
+        sessionId,
+        req.params.id,
+        req.params.idx,
+      );
+      sendItemImage(res, image);
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+app.post('/api/jobs/:id/export', requireIdentity(), async (req, res, next) => {
+  try {
+    const sessionId = req.identity.id;
+
+    const archive = await exportJobItems(
+      sessionId,
+      req.params.id,
+      req.body?.items,
+    );
+    res.download(
+      archive.path,
+      archive.filename,
+      {
+        headers: { 'Content-Type': archive.contentType },
+        cacheControl: false,
+      },
+      (error) => {
+        fs.rm(archive.path, { force: true }, () => {});
+        if (error && !res.headersSent) {
+          next(error);
+        }
+      },
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get(
+  '/api/jobs/:id/download',
+  requireIdentity({ allowJobAccess: true }),
+  (req, res, next) => {
+    try {
+      const sessionId = req.identity.id;
+
+      const zip = getJobDownloadData(sessionId, req.params.id);
+      res.download(
+        zip.path,
+        zip.filename,
+        {
+          headers: { 'Content-Type': zip.contentType },
+          cacheControl: false,
+        },
+        (error) => {
+          if (error && !res.headersSent) {
+            next(error);
+          }
+        },
+      );
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+app.get(
+  '/api/jobs/:id/atlas',
+  requireIdentity({ allowJobAccess: true }),
+  (req, res, next) => {
+    try {
+      const sessionId = req.identity.id;
+
+      const { filename, atlas } = getJobAtlas(sessionId, req.params.id);
+      res.attachment(filename);
+      res.json(atlas);
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+app.get('/api/jobs/:id/webhooks', requireIdentity(), (req, res, next) => {
+  try {
+    const sessionId = req.identity.id;
+    res.json(getJobWebhookDeliveries(sessionId, req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+function toShareResponse(req, share) {
+  return { ...share, url: buildPublicUrl(share.path, req) };
+}
+
+app.post('/api/jobs/:id/shares', requireIdentity(), (req, res, next) => {
+  try {
+    const sessionId = req.identity.id;
+    const { expiresIn, maxDownloads } = req.body || {};
+    const share = createJobShare(sessionId, req.params.id, {
+      expiresIn,
+      maxDownloads,
+    });
+    res.status(201).json(toShareResponse(req, share));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/jobs/:id/shares', requireIdentity(), (req, res, next) => {
   try {
-    const sessionId = resolveSessionId(req);
-    if (!sessionId) {
-      res.status(400).json({ error: '세션 식별자가 필요합니다.' });
+    const sessionId = req.identity.id;
+    res.json(
+      listJobShares(sessionId, req.params.id).map((share) =>
+        toShareResponse(req, share),
+      ),
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete(
+  '/api/jobs/:id/shares/:shareId',
+  requireIdentity(),
+  (req, res, next) => {
+    try {
+      const sessionId = req.identity.id;
+      const share = revokeJobShare(
+        sessionId,
+        req.params.id,
+        req.params.shareId,
+      );
+      res.json(toShareResponse(req, share));
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+// 아래 공유 경로는 세션 없이 열리므로 토큰이 Referer로 새지 않게 막아 둡니다.
+function noReferrer(req, res, next) {
+  res.set('Referrer-Policy', 'no-referrer');
+  next();
+}
+
+app.get('/share/:token', noReferrer, (req, res, next) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    res.type('html').send(renderSharePage(getSharedJob(req.params.token)));
+  } catch (error) {
+    if (!error.statusCode) {
+      next(error);
       return;
     }
+    res
+      .status(error.statusCode)
+      .type('html')
+      .send(renderShareErrorPage(error.message));
+  }
+});
+
+app.get('/api/share/:token', noReferrer, (req, res, next) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    res.json(getSharedJob(req.params.token));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/share/:token/items/:idx', noReferrer, (req, res, next) => {
+  try {
+    const image = getSharedItem(req.params.token, req.params.idx);
+    if (req.query.download !== undefined) {
+      res.attachment(image.filename);
+    }
+    sendItemImage(res, image);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get(
+  '/api/share/:token/items/:idx/thumbnail',
+  noReferrer,
+  async (req, res, next) => {
+    try {
+      const image = await getSharedItemThumbnail(
+        req.params.token,
+        req.params.idx,
+      );
+      sendItemImage(res, image);
+    } catch (error) {
+      next(error);
+    }
+  },
+);
 
-    const zip = getJobDownloadData(sessionId, req.params.id);
-    res.setHeader(
-      'Content-Disposition',
-      `attachment; filename="${encodeURIComponent(zip.filename)}"`,
+app.get('/api/share/:token/download', noReferrer, (req, res, next) => {
+  try {
+    const zip = startSharedDownload(req.params.token);
+    // 이어받기 요청마다 횟수가 깎이지 않도록 Range는 받지 않습니다.
+    res.download(
+      zip.path,
+      zip.filename,
+      {
+        headers: { 'Content-Type': zip.contentType },
+        cacheControl: false,
+        acceptRanges: false,
+      },
+      (error) => {
+        if (error) {
+          zip.release();
+          if (!res.headersSent) {
+            next(error);
+          }
+        }
+      },
     );
-    res.setHeader('Content-Type', 'application/zip');
-    res.setHeader('Content-Length', zip.size);
-    res.send(zip.buffer);
   } catch (error) {
     next(error);
   }
@@ -118,9 +636,45 @@ app.use((err, req, res, _next) => {
     console.error(err);
   }
 
-  res.status(statusCode).json({ error: message });
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+  res
+    .status(statusCode)
+    .json(
+      err.quota ? { error: message, quota: err.quota } : { error: message },
+    );
 });
 
-app.listen(PORT, () => {
-  console.log(`server listening on http://localhost:${PORT}`);
+async function start() {
+  // 복원된 작업이 바로 실행될 수 있으므로 업스트림 설정을 먼저 끝냅니다.
+  if (process.env.UPSTREAM_MOCK === 'true') {
+    const mock = await startMockUpstream({
+      port: Number(process.env.MOCK_UPSTREAM_PORT) || 0,
+      latencyMs: Number(process.env.MOCK_UPSTREAM_LATENCY_MS) || 0,
+    });
+    configureUpstream({
+      baseUrl: mock.baseUrl,
+      imageEndpoint: mock.imageEndpoint,
+    });
+    console.log(
+      `using mock upstream at ${mock.baseUrl} (packages: ${mock.packageIds.join(', ')})`,
+    );
+  }
+
+  const restored = restoreJobs();
+  if (restored.restored) {
+    console.log(
+      `restored ${restored.restored} job(s) (requeued ${restored.requeued}, interrupted ${restored.interrupted})`,
+    );
+  }
+
+  app.listen(PORT, () => {
+    console.log(`server listening on http://localhost:${PORT}`);
+  });
+}
+
+start().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
 });
@@ -0,0 +1,288 @@
+'use strict';
+
+const {
+  NAME_MODES,
+  normalizeNameMode,
+  normalizeTemplate,
+} = require('./filenameTemplate');
+const { OUTPUT_FORMATS } = require('./imageProcessor');
+const { INDEX_FORMATS } = require('./manifest');
+const {
+  OUTPUT_CONTAINERS,
+  normalizeCompressionLevel,
+  normalizeContainerName,
+} = require('./outputContainers');
+const { EXPORT_PRESETS, getExportPreset } = require('./presets');
+const { normalizeMaxBytesOption } = require('./sizeBudget');
+
+const MIN_RESIZE = 16;
+const MAX_RESIZE = 512;
+const MAX_RESIZE_SIZES = 4;
+const FIT_MODES = new Set(['contain', 'cover', 'fill', 'inside']);
+
+function normalizeDimension(value) {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric) || numeric <= 0) {
+    return null;
+  }
+  return Math.min(MAX_RESIZE, Math.max(MIN_RESIZE, Math.round(numeric)));
+}
+
+function normalizeResizeOption(value) {
+  if (value && typeof value === 'object') {
+    const width = normalizeDimension(value.width);
+    const height = normalizeDimension(value.height);
+    return width && height ? { width, height } : null;
+  }
+  const match =
+    typeof value === 'string'
+      ? value.trim().match(/^(\d+(?:\.\d+)?)\s*[x×*]\s*(\d+(?:\.\d+)?)$/i)
+      : null;
+  if (match) {
+    return normalizeResizeOption({ width: match[1], height: match[2] });
+  }
+  const size = normalizeDimension(value);
+  return size ? { width: size, height: size } : null;
+}
+
+function formatSizeLabel(target) {
+  if (!target || target === 'original') {
+    return 'original';
+  }
+  return target.width === target.height
+    ? String(target.width)
+    : `${target.width}x${target.height}`;
+}
+
+function normalizeSizesOption(value) {
+  const entries = Array.isArray(value)
+    ? value
+    : typeof value === 'string'
+      ? value.split(',')
+      : [];
+  const sizes = [];
+  const labels = new Set();
+  for (const entry of entries) {
+    if (typeof entry === 'string' && !entry.trim()) {
+      continue;
+    }
+    const target =
+      typeof entry === 'string' && entry.trim().toLowerCase() === 'original'
+        ? 'original'
+        : normalizeResizeOption(
+            typeof entry === 'string' ? entry.trim() : entry,
+          );
+    if (!target) {
+      return null;
+    }
+    const label = formatSizeLabel(target);
+    if (labels.has(label)) {
+      continue;
+    }
+    labels.add(label);
+    sizes.push(target);
+    if (sizes.length === MAX_RESIZE_SIZES) {
+      break;
+    }
+  }
+  return sizes.length ? sizes : null;
+}
+
+function normalizeFitOption(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const normalized = value.trim().toLowerCase();
+  return FIT_MODES.has(normalized) ? normalized : null;
+}
+
+function normalizeBackgroundOption(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const match = value.trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!match) {
+    return null;
+  }
+  const hex =
+    match[1].length === 3
+      ? [...match[1]].map((digit) => digit + digit).join('')
+      : match[1];
+  return `#${hex.toLowerCase()}`;
+}
+
+function normalizeFormatOption(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const normalized = value.trim().toLowerCase();
+  return OUTPUT_FORMATS.has(normalized) ? normalized : null;
+}
+
+function normalizePresetOption(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const normalized = value.trim().toLowerCase();
+  return getExportPreset(normalized) ? normalized : null;
+}
+
+function normalizeQualityOption(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const numeric = Math.round(Number(value));
+  return numeric >= 1 && numeric <= 100 ? numeric : null;
+}
+
+function normalizeIndexOption(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const normalized = value.trim().toLowerCase();
+  return INDEX_FORMATS.has(normalized) ? normalized : null;
+}
+
+function normalizeNameTemplateOption(value) {
+  return normalizeTemplate(value, 'entry');
+}
+
+function normalizeArchiveTemplateOption(value) {
+  return normalizeTemplate(value, 'archive');
+}
+
+function normalizeSizeOptions(options) {
+  const sizes = normalizeSizesOption(options?.sizes);
+  if (!sizes) {
+    return { resize: normalizeResizeOption(options?.resize), sizes: null };
+  }
+  if (sizes.length === 1) {
+    return { resize: sizes[0] === 'original' ? null : sizes[0], sizes: null };
+  }
+  return { resize: null, sizes };
+}
+
+const describeChoices = (subject, values) =>
+  `${subject} ${[...values].join(', ')} 중 하나여야 합니다.`;
+
+// 네 번째 값은 정규화하면 null이 되지만 기본값을 뜻하므로 받아 주는 값입니다.
+const OPTION_CHECKS = [
+  [
+    'resize',
+    normalizeResizeOption,
+    `크기는 양수나 "64x48" 형식이어야 합니다. ${MIN_RESIZE}~${MAX_RESIZE}px로 맞춰집니다.`,
+  ],
+  [
+    'sizes',
+    normalizeSizesOption,
+    '크기 목록은 "64,128,original"처럼 쉼표로 구분한 크기여야 합니다.',
+  ],
+  [
+    'preset',
+    normalizePresetOption,
+    describeChoices('프리셋은', Object.keys(EXPORT_PRESETS)),
+  ],
+  ['fit', normalizeFitOption, describeChoices('맞춤 방식은', FIT_MODES)],
+  [
+    'background',
+    normalizeBackgroundOption,
+    '여백 색은 #rrggbb 형식이나 transparent여야 합니다.',
+    ['transparent'],
+  ],
+  [
+    'format',
+    normalizeFormatOption,
+    describeChoices('출력 형식은', ['original', ...OUTPUT_FORMATS]),
+    ['original'],
+  ],
+  ['quality', normalizeQualityOption, '품질은 1~100 사이의 숫자여야 합니다.'],
+  [
+    'maxBytes',
+    normalizeMaxBytesOption,
+    '용량 제한은 1KB 이상이어야 합니다. 바이트 수나 "256KB", "1.5MB"처럼 적어주세요.',
+  ],
+  [
+    'index',
+    normalizeIndexOption,
+    describeChoices('목록 파일은', INDEX_FORMATS),
+  ],
+  [
+    'nameMode',
+    normalizeNameMode,
+    describeChoices('파일 이름 방식은', NAME_MODES),
+  ],
+  [
+    'container',
+    normalizeContainerName,
+    describeChoices('결과 형식은', Object.keys(OUTPUT_CONTAINERS)),
+  ],
+  [
+    'compression',
+    normalizeCompressionLevel,
+    '압축 수준은 0~9 사이의 정수여야 합니다.',
+  ],
+];
+
+function assertJobOptions(options = {}) {
+  for (const [name, normalize, message, defaults = []] of OPTION_CHECKS) {
+    const value = options?.[name];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    if (defaults.includes(String(value).trim().toLowerCase())) {
+      continue;
+    }
+    if (normalize(value) === null) {
+      const error = new Error(`${message} (받은 값: ${value})`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+}
+
+function normalizeJobOptions(options = {}) {
+  const presetOption = normalizePresetOption(options?.preset);
+  const sizeOptions = presetOption
+    ? { resize: null, sizes: null }
+    : normalizeSizeOptions(options);
+  return {
+    preset: presetOption,
+    ...sizeOptions,
+    fit: presetOption ? null : normalizeFitOption(options?.fit),
+    background: presetOption
+      ? null
+      : normalizeBackgroundOption(options?.background),
+    trim: !presetOption && options?.trim === true,
+    format: presetOption ? null : normalizeFormatOption(options?.format),
+    quality: normalizeQualityOption(options?.quality),
+    lossless: options?.lossless === true,
+    maxBytes: normalizeMaxBytesOption(options?.maxBytes),
+    index: normalizeIndexOption(options?.index),
+    nameTemplate: normalizeNameTemplateOption(options?.nameTemplate),
+    archiveTemplate: normalizeArchiveTemplateOption(options?.archiveTemplate),
+    nameMode: normalizeNameMode(options?.nameMode),
+    container: normalizeContainerName(options?.container),
+    compression: normalizeCompressionLevel(options?.compression),
+  };
+}
+
+module.exports = {
+  FIT_MODES,
+  formatSizeLabel,
+  normalizeResizeOption,
+  normalizeSizesOption,
+  normalizeFitOption,
+  normalizeBackgroundOption,
+  normalizeFormatOption,
+  normalizePresetOption,
+  normalizeQualityOption,
+  normalizeMaxBytesOption,
+  normalizeIndexOption,
+  normalizeNameTemplateOption,
+  normalizeArchiveTemplateOption,
+  normalizeNameMode,
+  normalizeContainerName,
+  normalizeCompressionLevel,
+  assertJobOptions,
+  normalizeJobOptions,
+};
@@ -1,26 +1,203 @@
 'use strict';
 
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
 const { nanoid } = require('nanoid');
-const { downloadDcConPackage } = require('./dcconDownloader');
-const { extractPackageId, formatBytes } = require('./utils');
+const {
+  downloadDcConPackage,
+  downloadDcConBatch,
+  createItemArchive,
+  buildArchiveBasename,
+} = require('./dcconDownloader');
+const { createJobAccessToken, signToken, verifyToken } = require('./auth');
+const {
+  assertTemplateOptions,
+  createEntryNamer,
+} = require('./filenameTemplate');
+const { createThumbnail } = require('./imageProcessor');
+const {
+  DEFAULT_CONTAINER,
+  OUTPUT_CONTAINERS,
+  getOutputContainer,
+} = require('./outputContainers');
+const { assertJobOptions, normalizeJobOptions } = require('./jobOptions');
+const {
+  DEFAULT_PRIORITY,
+  createJobScheduler,
+  normalizePriority,
+} = require('./jobScheduler');
+const { createJobStore } = require('./jobStore');
+const {
+  getWebhookSetting,
+  normalizeWebhookUrl,
+  sendWebhook,
+} = require('./webhooks');
+const {
+  buildPublicUrl,
+  extractPackageId,
+  formatBytes,
+  parsePositiveInteger,
+} = require('./utils');
+
+const store = createJobStore({
+  driver: process.env.JOB_STORE,
+  dataDir: process.env.DATA_DIR,
+});
 
 const jobs = new Map();
-const queue = [];
 const sessionJobs = new Map();
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+const jobControllers = new Map();
 
 const MAX_STORED_JOBS_PER_SESSION = 15;
 const JOB_TTL_MS = 1000 * 60 * 30; // 30분
+const MAX_BATCH_PACKAGES = 30;
+const MAX_EXPORT_NAME_LENGTH = 100;
+const MAX_CONCURRENT_JOBS = parsePositiveInteger(
+  process.env.MAX_CONCURRENT_JOBS,
+  1,
+);
+const IMAGE_CONCURRENCY = parsePositiveInteger(
+  process.env.IMAGE_CONCURRENCY,
+  4,
+);
+const INTERRUPTED_JOB_POLICY =
+  process.env.INTERRUPTED_JOB_POLICY === 'fail' ? 'fail' : 'requeue';
 
-let processingJob = null;
+const processingJobs = new Set();
+const scheduler = createJobScheduler({
+  defaultDurationMs: parsePositiveInteger(
+    process.env.QUEUE_DEFAULT_JOB_DURATION_MS,
+    30000,
+  ),
+});
 
-function normalizeResizeOption(value) {
-  const numeric = Number(value);
-  if (!Number.isFinite(numeric) || numeric <= 0) {
-    return null;
+const QUOTA_WINDOW_MS = 1000 * 60 * 60;
+const QUOTAS = {
+  concurrentJobs: parseQuotaLimit(process.env.QUOTA_CONCURRENT_JOBS, 3),
+  queuedJobs: parseQuotaLimit(process.env.QUOTA_QUEUED_JOBS, 10),
+  jobsPerHour: parseQuotaLimit(process.env.QUOTA_JOBS_PER_HOUR, 30),
+  storedBytes: parseQuotaLimit(
+    process.env.QUOTA_STORED_BYTES,
+    512 * 1024 * 1024,
+  ),
+};
+const jobHistory = new Map();
+
+const SHARE_DEFAULT_TTL_MS = 1000 * 60 * 60 * 24; // 1일
+const SHARE_MAX_TTL_MS = parsePositiveInteger(
+  process.env.SHARE_MAX_TTL_MS,
+  1000 * 60 * 60 * 24 * 7,
+);
+const MAX_SHARES_PER_JOB = 20;
+const MAX_SHARE_DOWNLOADS = 1000;
+const MAX_WEBHOOK_DELIVERIES_PER_JOB = 20;
+
+const MAX_CACHED_THUMBNAILS = 500;
+const ITEM_CACHE_MAX_AGE_SECONDS = JOB_TTL_MS / 1000;
+const thumbnailCache = new Map();
+
+function parseQuotaLimit(value, fallback) {
+  if (String(value).trim() === '0') {
+    return Infinity;
+  }
+  return parsePositiveInteger(value, fallback);
+}
+
+function buildItemStorageKey(item, index, label) {
+  const position = String(index + 1).padStart(3, '0');
+  const suffix = label ? `_${label}` : '';
+  return `${position}_${item.idx ?? index}${suffix}.${item.ext || 'png'}`;
+}
+
+function toJobRecord(job) {
+  return {
+    ...job,
+    items: (job.items || []).map(({ buffer, ...item }) =>
+      item.variants
+        ? {
+            ...item,
+            variants: item.variants.map(
+              ({ buffer: _buffer, ...variant }) => variant,
+            ),
+          }
+        : item,
+    ),
+  };
+}
+
+function persistJob(job) {
+  try {
+    store.saveJob(toJobRecord(job));
+  } catch (error) {
+    console.error('작업 상태를 저장하지 못했습니다:', error);
   }
-  const rounded = Math.round(numeric);
-  const clamped = Math.min(512, Math.max(16, rounded));
-  return clamped;
+}
+
+function persistJobItem(job, item, index) {
+  item.storageKey = buildItemStorageKey(item, index);
+  store.writeItem(job.id, item.storageKey, item.buffer);
+  // 첫 번째 크기는 item과 같은 파일이므로 나머지 크기만 따로 저장합니다.
+  item.variants?.forEach((variant, variantIndex) => {
+    if (variantIndex === 0) {
+      variant.storageKey = item.storageKey;
+      return;
+    }
+    variant.storageKey = buildItemStorageKey(
+      { ...item, ext: variant.ext },
+      index,
+      variant.label,
+    );
+    store.writeItem(job.id, variant.storageKey, variant.buffer);
+  });
+}
+
+function readStoredItem(job, key) {
+  const buffer = key ? store.readItem(job.id, key) : null;
+  if (!buffer) {
+    const error = new Error('보관된 이미지 파일을 찾을 수 없습니다.');
+    error.statusCode = 410;
+    throw error;
+  }
+  return buffer;
+}
+
+function toProgressPayload(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    message: job.message,
+    queue: describeQueuePosition(job),
+    updatedAt: job.updatedAt,
+    ...(job.packages ? { packages: job.packages } : {}),
+  };
+}
+
+function emitJobEvent(type, job) {
+  const payload =
+    type === 'progress'
+      ? toProgressPayload(job)
+      : type === 'removed'
+        ? { id: job.id }
+        : toPublicJob(job);
+  jobEvents.emit('job', { type, sessionId: job.sessionId, job: payload });
+}
+
+function subscribeJobEvents(sessionId, listener) {
+  const validSessionId = assertSessionId(sessionId);
+  const handler = (event) => {
+    if (event.sessionId === validSessionId) {
+      listener({ type: event.type, job: event.job });
+    }
+  };
+  jobEvents.on('job', handler);
+  return () => jobEvents.off('job', handler);
 }
 
 function assertSessionId(sessionId) {
@@ -32,6 +209,41 @@ function assertSessionId(sessionId) {
   return sessionId.trim();
 }
 
+function getOwnedJob(sessionId, jobId) {
+  const job = jobs.get(jobId);
+  if (!job || job.sessionId !== sessionId) {
+    const error = new Error('작업을 찾을 수 없습니다.');
+    error.statusCode = 404;
+    throw error;
+  }
+  return job;
+}
+
+function createCancelError() {
+  const error = new Error('작업이 취소되었습니다.');
+  error.code = 'JOB_CANCELLED';
+  return error;
+}
+
+function isShareActive(share, now = Date.now()) {
+  return (
+    !share.revokedAt &&
+    new Date(share.expiresAt).getTime() > now &&
+    (share.maxDownloads === null || share.downloads < share.maxDownloads)
+  );
+}
+
+function hasActiveShare(job, now = Date.now()) {
+  return Boolean(job?.shares?.some((share) => isShareActive(share, now)));
+}
+
+function hasArchive(job) {
+  return (
+    (job.status === 'completed' || job.status === 'completed_with_errors') &&
+    Boolean(job.zip)
+  );
+}
+
 function getSessionOrder(sessionId) {
   const existing = sessionJobs.get(sessionId);
   if (existing) {
@@ -52,6 +264,12 @@ function removeJob(jobId) {
   }
 
   jobs.delete(jobId);
+  forgetThumbnails(jobId);
+  try {
+    store.deleteJob(jobId);
+  } catch (error) {
+    console.error('작업 데이터를 삭제하지 못했습니다:', error);
+  }
 
   const order = sessionJobs.get(job.sessionId);
   if (order) {
@@ -64,12 +282,12 @@ function removeJob(jobId) {
     }
   }
 
-  let queueIndex = queue.indexOf(jobId);
-  while (queueIndex !== -1) {
-    queue.splice(queueIndex, 1);
-    queueIndex = queue.indexOf(jobId);
-  }
+  const wasQueued = scheduler.remove(jobId);
 
+  emitJobEvent('removed', job);
+  if (wasQueued) {
+    emitQueuePositions();
+  }
   return true;
 }
 
@@ -85,7 +303,8 @@ function cleanupExpiredJobs() {
       continue;
     }
 
-    if (now - updatedAt > JOB_TTL_MS) {
+    // 살아 있는 공유 링크가 있으면 링크가 끝날 때까지 보관합니다.
+    if (now - updatedAt > JOB_TTL_MS && !hasActiveShare(job, now)) {
       removeJob(jobId);
     }
   }
@@ -98,37 +317,167 @@ function trimSessionJobs(sessionId) {
   }
 
   while (order.length > MAX_STORED_JOBS_PER_SESSION) {
-    const oldestId = order[0];
-    if (!removeJob(oldestId)) {
+    const oldestId = order.find((jobId) => !hasActiveShare(jobs.get(jobId)));
+    if (!oldestId || !removeJob(oldestId)) {
       break;
     }
   }
 }
 
-function createJob(url, sessionId, options = {}) {
+function getStoredBytes(job) {
+  const itemBytes = (job.items || []).reduce(
+    (total, item) =>
+      total +
+      (item.size || 0) +
+      (item.variants || [])
+        .slice(1)
+        .reduce((sum, variant) => sum + (variant.size || 0), 0),
+    0,
+  );
+  return itemBytes + (job.zip?.size || 0);
+}
+
+function recentJobTimestamps(sessionId) {
+  const now = Date.now();
+  const history = (jobHistory.get(sessionId) || []).filter(
+    (timestamp) => now - timestamp < QUOTA_WINDOW_MS,
+  );
+  if (history.length) {
+    jobHistory.set(sessionId, history);
+  } else {
+    jobHistory.delete(sessionId);
+  }
+  return history;
+}
+
+function getQuotaUsage(sessionId) {
   const validSessionId = assertSessionId(sessionId);
   cleanupExpiredJobs();
 
-  const trimmedUrl = url.trim();
-  const packageId = extractPackageId(trimmedUrl);
+  let concurrentJobs = 0;
+  let storedBytes = 0;
+  for (const jobId of sessionJobs.get(validSessionId) || []) {
+    const job = jobs.get(jobId);
+    if (!job) {
+      continue;
+    }
+    if (job.status === 'processing') {
+      concurrentJobs += 1;
+    }
+    storedBytes += getStoredBytes(job);
+  }
 
-  if (!packageId) {
-    const error = new Error('유효한 디시콘 URL이 아닙니다.');
+  const toLimit = (value) => (Number.isFinite(value) ? value : null);
+  return {
+    concurrentJobs: {
+      used: concurrentJobs,
+      limit: toLimit(QUOTAS.concurrentJobs),
+    },
+    queuedJobs: {
+      used: scheduler.countQueued(validSessionId),
+      limit: toLimit(QUOTAS.queuedJobs),
+    },
+    jobsPerHour: {
+      used: recentJobTimestamps(validSessionId).length,
+      limit: toLimit(QUOTAS.jobsPerHour),
+    },
+    storedBytes: {
+      used: storedBytes,
+      limit: toLimit(QUOTAS.storedBytes),
+    },
+  };
+}
+
+function createQuotaError(message, quota, usage, retryAfter) {
+  const error = new Error(message);
+  error.statusCode = 429;
+  error.quota = { name: quota, ...usage[quota] };
+  if (retryAfter) {
+    error.retryAfter = retryAfter;
+  }
+  return error;
+}
+
+function assertWithinQuota(sessionId, { countNewJob = true } = {}) {
+  const usage = getQuotaUsage(sessionId);
+
+  if (usage.queuedJobs.used >= QUOTAS.queuedJobs) {
+    throw createQuotaError(
+      `대기열에는 최대 ${QUOTAS.queuedJobs}개의 작업만 넣을 수 있습니다. 앞선 작업이 시작된 뒤 다시 시도해주세요.`,
+      'queuedJobs',
+      usage,
+    );
+  }
+
+  if (usage.concurrentJobs.used >= QUOTAS.concurrentJobs) {
+    const now = Date.now();
+    const soonestMs = Math.min(
+      ...getRunningJobs(sessionId).map((job) => estimateRemainingMs(job, now)),
+    );
+    throw createQuotaError(
+      `동시에 진행할 수 있는 작업은 최대 ${QUOTAS.concurrentJobs}개입니다. 진행 중인 작업이 끝난 뒤 다시 시도해주세요.`,
+      'concurrentJobs',
+      usage,
+      Number.isFinite(soonestMs) ? Math.max(1, Math.ceil(soonestMs / 1000)) : 1,
+    );
+  }
+
+  if (countNewJob && usage.jobsPerHour.used >= QUOTAS.jobsPerHour) {
+    const [oldest] = recentJobTimestamps(sessionId);
+    throw createQuotaError(
+      `한 시간에 최대 ${QUOTAS.jobsPerHour}개의 작업만 만들 수 있습니다. 잠시 후 다시 시도해주세요.`,
+      'jobsPerHour',
+      usage,
+      Math.max(1, Math.ceil((oldest + QUOTA_WINDOW_MS - Date.now()) / 1000)),
+    );
+  }
+
+  if (usage.storedBytes.used >= QUOTAS.storedBytes) {
+    throw createQuotaError(
+      `보관 용량 한도(${formatBytes(QUOTAS.storedBytes)})를 넘었습니다. 완료된 작업을 삭제한 뒤 다시 시도해주세요.`,
+      'storedBytes',
+      usage,
+    );
+  }
+}
+
+function recordJobCreation(sessionId, createdAt = Date.now()) {
+  const history = jobHistory.get(sessionId) || [];
+  history.push(createdAt);
+  jobHistory.set(sessionId, history);
+}
+
+function normalizeCallbackUrl(value) {
+  return value === undefined || value === null || value === ''
+    ? null
+    : normalizeWebhookUrl(value);
+}
+
+function resolveJobPriority({ priority, identityType } = {}) {
+  if (priority === undefined || priority === null || priority === '') {
+    return DEFAULT_PRIORITY;
+  }
+  const normalized = normalizePriority(priority);
+  if (!normalized) {
+    const error = new Error('우선순위는 low, normal, high 중 하나여야 합니다.');
     error.statusCode = 400;
     throw error;
   }
+  if (normalized === 'high' && identityType !== 'apiKey') {
+    const error = new Error(
+      'high 우선순위는 API 키로 요청한 작업만 쓸 수 있습니다.',
+    );
+    error.statusCode = 403;
+    throw error;
+  }
+  return normalized;
+}
 
-  const resizeOption = normalizeResizeOption(options?.resize);
-
+function buildJob(sessionId, fields) {
   const now = new Date().toISOString();
-  const job = {
+  return {
     id: nanoid(),
-    sessionId: validSessionId,
-    url: trimmedUrl,
-    packageId,
-    options: {
-      resize: resizeOption,
-    },
+    sessionId,
     status: 'queued',
     progress: 0,
     stage: 'queued',
@@ -139,93 +488,411 @@ function createJob(url, sessionId, options = {}) {
     packageInfo: null,
     items: [],
     previews: [],
+    warnings: [],
     zip: null,
     error: null,
+    callbackUrl: null,
+    priority: DEFAULT_PRIORITY,
+    ...fields,
   };
+}
 
+function enqueueJob(job) {
   jobs.set(job.id, job);
+  persistJob(job);
 
-  const order = getSessionOrder(validSessionId);
+  const order = getSessionOrder(job.sessionId);
   order.push(job.id);
-  trimSessionJobs(validSessionId);
+  recordJobCreation(job.sessionId);
+  trimSessionJobs(job.sessionId);
 
-  queue.push(job.id);
+  scheduler.enqueue(job.id, job.sessionId, job.priority);
+  emitJobEvent('created', job);
   processQueue();
 
   return toPublicJob(job);
 }
 
+function createJob(url, sessionId, options = {}) {
+  const validSessionId = assertSessionId(sessionId);
+  cleanupExpiredJobs();
+
+  const trimmedUrl = url.trim();
+  const packageId = extractPackageId(trimmedUrl);
+
+  if (!packageId) {
+    const error = new Error('유효한 디시콘 URL이 아닙니다.');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const callbackUrl = normalizeCallbackUrl(options.callbackUrl);
+  const priority = resolveJobPriority(options);
+  assertTemplateOptions(options);
+  assertJobOptions(options);
+  assertWithinQuota(validSessionId);
+  return enqueueJob(
+    buildJob(validSessionId, {
+      url: trimmedUrl,
+      packageId,
+      options: normalizeJobOptions(options),
+      callbackUrl,
+      priority,
+    }),
+  );
+}
+
+function createBatchJob(inputs, sessionId, options = {}) {
+  const validSessionId = assertSessionId(sessionId);
+  cleanupExpiredJobs();
+
+  const rawLines = Array.isArray(inputs)
+    ? inputs
+    : String(inputs || '').split(/\r?\n/);
+  const lines = rawLines
+    .map((value) => (typeof value === 'string' ? value.trim() : ''))
+    .filter(Boolean);
+
+  if (!lines.length) {
+    const error = new Error('URL 또는 모음집 번호를 한 개 이상 입력해주세요.');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const invalid = lines.filter((line) => !extractPackageId(line));
+  if (invalid.length) {
+    const error = new Error(
+      `유효한 디시콘 URL이 아닙니다: ${invalid.slice(0, 3).join(', ')}${
+        invalid.length > 3 ? ` 외 ${invalid.length - 3}개` : ''
+      }`,
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const packages = [];
+  const seen = new Set();
+  for (const line of lines) {
+    const packageId = extractPackageId(line);
+    if (!seen.has(packageId)) {
+      seen.add(packageId);
+      packages.push({
+        packageId,
+        url: line,
+        status: 'queued',
+        progress: 0,
+        title: null,
+        itemCount: 0,
+        message: '대기 중',
+        error: null,
+      });
+    }
+  }
+
+  if (packages.length > MAX_BATCH_PACKAGES) {
+    const error = new Error(
+      `한 번에 최대 ${MAX_BATCH_PACKAGES}개의 모음집만 요청할 수 있습니다.`,
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const callbackUrl = normalizeCallbackUrl(options.callbackUrl);
+  const priority = resolveJobPriority(options);
+  assertTemplateOptions(options);
+  assertJobOptions(options);
+  assertWithinQuota(validSessionId);
+  return enqueueJob(
+    buildJob(validSessionId, {
+      type: 'batch',
+      url: packages.map((entry) => entry.url).join('\n'),
+      packageId: null,
+      packageIds: packages.map((entry) => entry.packageId),
+      packages,
+      options: normalizeJobOptions(options),
+      callbackUrl,
+      priority,
+    }),
+  );
+}
+
+function getRunningJobs(sessionId) {
+  return [...processingJobs]
+    .map((jobId) => jobs.get(jobId))
+    .filter((job) => job?.sessionId === sessionId);
+}
+
+// 생성 때 한도를 확인해도 대기 중이던 작업이 한꺼번에 시작될 수 있어 시작할 때도 한 번 더 막습니다.
+function canStartForSession(sessionId) {
+  return getRunningJobs(sessionId).length < QUOTAS.concurrentJobs;
+}
+
 function processQueue() {
-  if (processingJob || queue.length === 0) {
-    return;
+  let started = false;
+  while (processingJobs.size < MAX_CONCURRENT_JOBS) {
+    const nextJobId = scheduler.next(canStartForSession);
+    if (!nextJobId) {
+      break;
+    }
+    const job = jobs.get(nextJobId);
+
+    if (!job || job.status !== 'queued') {
+      continue;
+    }
+
+    startJob(job);
+    started = true;
   }
+  if (started) {
+    emitQueuePositions();
+  }
+}
 
-  const nextJobId = queue.shift();
-  const job = jobs.get(nextJobId);
+function estimateRemainingMs(job, now = Date.now()) {
+  const elapsed = now - new Date(job.startedAt || now).getTime();
+  const average = scheduler.getAverageDuration();
+  if (job.progress > 0.05) {
+    return Math.max(0, (elapsed / job.progress) * (1 - job.progress));
+  }
+  return Math.max(0, average - elapsed);
+}
 
-  if (!job || job.status !== 'queued') {
-    setImmediate(processQueue);
-    return;
+function describeQueuePosition(job) {
+  if (job.status !== 'queued') {
+    return null;
+  }
+  const now = Date.now();
+  const estimate = scheduler.estimate(job.id, {
+    running: [...processingJobs]
+      .map((jobId) => jobs.get(jobId))
+      .filter(Boolean)
+      .map((running) => estimateRemainingMs(running, now)),
+    concurrency: MAX_CONCURRENT_JOBS,
+  });
+  if (!estimate) {
+    return null;
+  }
+  return {
+    position: estimate.position,
+    estimatedStartAt: new Date(now + estimate.startsInMs).toISOString(),
+  };
+}
+
+// 앞선 작업이 시작되거나 빠지면 뒤에 있는 작업의 순번도 바뀌므로 함께 알립니다.
+function emitQueuePositions() {
+  for (const job of jobs.values()) {
+    if (job.status === 'queued') {
+      emitJobEvent('progress', job);
+    }
   }
+}
 
-  processingJob = job.id;
-  runJob(job)
+function startJob(job) {
+  processingJobs.add(job.id);
+  const controller = new AbortController();
+  jobControllers.set(job.id, controller);
+  runJob(job, controller.signal)
     .catch((error) => {
       console.error(error);
     })
     .finally(() => {
-      processingJob = null;
+      jobControllers.delete(job.id);
+      processingJobs.delete(job.id);
+      if (
+        job.status === 'completed' ||
+        job.status === 'completed_with_errors'
+      ) {
+        scheduler.recordDuration(
+          Date.now() - new Date(job.startedAt).getTime(),
+        );
+      }
       setImmediate(processQueue);
     });
 }
 
-async function runJob(job) {
+async function runJob(job, signal) {
   job.status = 'processing';
   job.stage = 'initializing';
   job.progress = 0.01;
   job.message = '작업을 준비하는 중입니다.';
   job.startedAt = new Date().toISOString();
   job.updatedAt = job.startedAt;
+  persistJob(job);
+  emitJobEvent('progress', job);
 
   const onProgress = ({ stage, progress, message }) => {
     job.stage = stage;
     job.progress = Math.min(1, Math.max(0, progress));
     job.message = message;
     job.updatedAt = new Date().toISOString();
+    emitJobEvent('progress', job);
   };
 
+  const onPackageProgress = (packageId, patch) => {
+    const entry = job.packages?.find((pkg) => pkg.packageId === packageId);
+    if (entry) {
+      Object.assign(entry, patch);
+    }
+  };
+
+  const reusableItems = job.retryMissing
+    ? new Map(
+        job.items.map((item) => [
+          `${item.packageId || job.packageId}:${item.idx}`,
+          item,
+        ]),
+      )
+    : undefined;
+  job.retryMissing = false;
+
   try {
-    const { info, items, previews, zip } = await downloadDcConPackage({
-      packageId: job.packageId,
+    const downloadOptions = {
       onProgress,
       options: job.options,
-    });
+      signal,
+      concurrency: IMAGE_CONCURRENCY,
+      archivePath: store.getArchivePath(job.id),
+      reusableItems,
+      itemStore: {
+        save: (item, index) => persistJobItem(job, item, index),
+        read: (key) => store.readItem(job.id, key),
+      },
+    };
+    const result =
+      job.type === 'batch'
+        ? await downloadDcConBatch({
+            ...downloadOptions,
+            packageIds: job.packageIds,
+            onPackageProgress,
+          })
+        : await downloadDcConPackage({
+            ...downloadOptions,
+            packageId: job.packageId,
+          });
+    const { info, items, previews, warnings, failedItems, zip } = result;
 
-    job.packageTitle = info?.title ?? null;
-    job.packageInfo = info ?? null;
+    if (job.type === 'batch') {
+      job.packageTitle = `디시콘 모음집 ${result.packages.length}개`;
+    } else {
+      job.packageTitle = info?.title ?? null;
+      job.packageInfo = info ?? null;
+    }
     job.items = items;
     job.previews = previews;
-    job.zip = zip;
+    job.warnings = warnings;
+    job.failedItems = failedItems;
+    job.zip = {
+      filename: zip.filename,
+      size: zip.size,
+      container: zip.container,
+      atlas: zip.atlas ?? null,
+    };
+
+    const failedPackageCount =
+      job.type === 'batch' ? job.packages.length - result.packages.length : 0;
+    const hasErrors = failedItems.length > 0 || failedPackageCount > 0;
 
-    job.status = 'completed';
-    job.stage = 'completed';
+    job.status = hasErrors ? 'completed_with_errors' : 'completed';
+    job.stage = job.status;
     job.progress = 1;
-    job.message = '다운로드가 완료되었습니다.';
+    if (failedPackageCount) {
+      job.message = `${job.packages.length}개 중 ${result.packages.length}개 모음집을 저장했습니다.`;
+    } else if (failedItems.length) {
+      job.message = `${failedItems.length}개의 이미지를 받지 못했습니다. 누락된 항목만 다시 받을 수 있습니다.`;
+    } else {
+      job.message = '다운로드가 완료되었습니다.';
+    }
     job.completedAt = new Date().toISOString();
   } catch (error) {
-    job.status = 'failed';
-    job.stage = 'failed';
-    job.error =
-      error && typeof error.message === 'string'
-        ? error.message
-        : '알 수 없는 오류가 발생했습니다.';
-    job.message = job.error;
+    if (signal?.aborted) {
+      job.status = 'cancelled';
+      job.stage = 'cancelled';
+      job.error = null;
+      job.message = '작업이 취소되었습니다.';
+      job.cancelledAt = new Date().toISOString();
+    } else {
+      job.status = 'failed';
+      job.stage = 'failed';
+      job.error =
+        error && typeof error.message === 'string'
+          ? error.message
+          : '알 수 없는 오류가 발생했습니다.';
+      job.message = job.error;
+    }
   } finally {
     job.updatedAt = new Date().toISOString();
+    persistJob(job);
+    emitJobEvent(job.status, job);
+    if (job.status !== 'cancelled') {
+      notifyJobWebhook(job);
+    }
+  }
+}
+
+// 공유 링크 대신 작업 접근 토큰을 보내 웹훅 때문에 작업 보관 기간이 늘어나지 않게 합니다.
+function notifyJobWebhook(job) {
+  const url = job.callbackUrl || getWebhookSetting(job.sessionId).url;
+  if (!url) {
+    return;
+  }
+
+  let download = null;
+  if (hasArchive(job)) {
+    const access = createJobAccessToken(job.sessionId, job.id);
+    download = {
+      url: buildPublicUrl(
+        `/api/jobs/${encodeURIComponent(job.id)}/download?access=${access}`,
+      ),
+      expiresAt: new Date(verifyToken(access).exp).toISOString(),
+    };
+  }
+
+  const delivery = sendWebhook({
+    ownerId: job.sessionId,
+    url,
+    event: job.status === 'failed' ? 'job.failed' : 'job.completed',
+    data: { job: toPublicJob(job), download },
+    onUpdate: () => {
+      // 재시도 중에 작업이 지워졌다면 다시 저장하지 않습니다.
+      if (jobs.get(job.id) === job) {
+        persistJob(job);
+      }
+    },
+  });
+  job.webhookDeliveries = [...(job.webhookDeliveries || []), delivery].slice(
+    -MAX_WEBHOOK_DELIVERIES_PER_JOB,
+  );
+  persistJob(job);
+}
+
+function getJobWebhookDeliveries(sessionId, jobId) {
+  const validSessionId = assertSessionId(sessionId);
+  const job = getOwnedJob(validSessionId, jobId);
+  return job.webhookDeliveries || [];
+}
+
+function buildItemUrls(jobId, idx, access) {
+  const base = `/api/jobs/${encodeURIComponent(jobId)}/items/${encodeURIComponent(idx)}`;
+  const query = `?access=${access}`;
+  return { url: `${base}${query}`, thumbnailUrl: `${base}/thumbnail${query}` };
+}
+
+function summariseBudget(budget) {
+  if (!budget) {
+    return null;
   }
+  return {
+    maxBytes: budget.maxBytes,
+    originalSize: budget.originalSize,
+    finalSize: budget.finalSize,
+    originalSizeLabel: formatBytes(budget.originalSize),
+    finalSizeLabel: formatBytes(budget.finalSize),
+    steps: budget.steps,
+    fits: budget.fits,
+  };
 }
 
-function summariseItems(items) {
+function summariseItems(jobId, items, access) {
   if (!Array.isArray(items)) {
     return [];
   }
@@ -239,23 +906,47 @@ function summariseItems(items) {
     sizeLabel: formatBytes(item.size),
     mimeType: item.mimeType,
     resized: Boolean(item.resized),
-    dataUrl:
-      item.buffer && item.mimeType
-        ? `data:${item.mimeType};base64,${item.buffer.toString('base64')}`
-        : null,
+    converted: Boolean(item.converted),
+    animated: Boolean(item.animated),
+    frames: item.frames || 1,
+    width: item.width ?? null,
+    height: item.height ?? null,
+    budget: summariseBudget(item.budget),
+    variants: (item.variants || []).map((variant) => ({
+      label: variant.label,
+      width: variant.width ?? null,
+      height: variant.height ?? null,
+      sizeLabel: formatBytes(variant.size),
+      budget: summariseBudget(variant.budget),
+    })),
+    warnings: item.warnings || [],
+    ...buildItemUrls(jobId, item.idx, access),
   }));
 }
 
+function describeArchiveContainer(zip) {
+  const container = OUTPUT_CONTAINERS[zip.container]
+    ? zip.container
+    : DEFAULT_CONTAINER;
+  const { contentType, label } = getOutputContainer(container);
+  return { container, contentType, label };
+}
+
 function toPublicJob(job) {
   if (!job) {
     return null;
   }
 
+  const access = createJobAccessToken(job.sessionId, job.id);
   return {
     id: job.id,
+    type: job.type || 'package',
     url: job.url,
     packageId: job.packageId,
+    packages: job.packages,
     options: job.options,
+    priority: job.priority || DEFAULT_PRIORITY,
+    queue: describeQueuePosition(job),
     status: job.status,
     stage: job.stage,
     progress: job.progress,
@@ -264,24 +955,34 @@ function toPublicJob(job) {
     packageTitle: job.packageTitle,
     packageInfo: job.packageInfo,
     itemCount: job.items?.length ?? 0,
-    items: summariseItems(job.items),
+    items: summariseItems(job.id, job.items, access),
+    warnings: job.warnings || [],
+    failedItems: job.failedItems || [],
     previews: job.previews?.map((preview) => ({
       idx: preview.idx,
       title: preview.title,
       mimeType: preview.mimeType,
-      dataUrl: preview.dataUrl,
+      ...buildItemUrls(job.id, preview.idx, access),
     })),
     archive: job.zip
       ? {
           filename: job.zip.filename,
           size: job.zip.size,
           sizeLabel: formatBytes(job.zip.size),
+          ...describeArchiveContainer(job.zip),
+          url: `/api/jobs/${encodeURIComponent(job.id)}/download?access=${access}`,
+          atlasUrl: job.zip.atlas
+            ? `/api/jobs/${encodeURIComponent(job.id)}/atlas?access=${access}`
+            : null,
         }
       : null,
+    shares: (job.shares || []).map((share) => toPublicShare(job, share)),
+    callbackUrl: job.callbackUrl ?? null,
     createdAt: job.createdAt,
     updatedAt: job.updatedAt,
     startedAt: job.startedAt,
     completedAt: job.completedAt,
+    cancelledAt: job.cancelledAt,
   };
 }
 
@@ -295,7 +996,7 @@ function listJobs(sessionId) {
   }
 
   const visibleJobs = [];
-  for (let index = 0; index < order.length; ) {
+  for (let index = 0; index < order.length;) {
     const jobId = order[index];
     const job = jobs.get(jobId);
     if (job) {
@@ -329,25 +1030,614 @@ function getJobDownloadData(sessionId, jobId) {
   const validSessionId = assertSessionId(sessionId);
   cleanupExpiredJobs();
 
-  const job = jobs.get(jobId);
-  if (!job || job.sessionId !== validSessionId) {
-    const error = new Error('작업을 찾을 수 없습니다.');
+  const job = getOwnedJob(validSessionId, jobId);
+
+  if (!hasArchive(job)) {
+    const error = new Error('아직 다운로드할 수 없습니다.');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const archivePath = store.getArchivePath(job.id);
+  let stats;
+  try {
+    stats = fs.statSync(archivePath);
+  } catch (_error) {
+    const error = new Error('보관된 결과 파일을 찾을 수 없습니다.');
+    error.statusCode = 410;
+    throw error;
+  }
+
+  return {
+    filename: job.zip.filename,
+    size: stats.size,
+    path: archivePath,
+    contentType: describeArchiveContainer(job.zip).contentType,
+  };
+}
+
+function getJobAtlas(sessionId, jobId) {
+  const validSessionId = assertSessionId(sessionId);
+  cleanupExpiredJobs();
+
+  const job = getOwnedJob(validSessionId, jobId);
+  if (!hasArchive(job) || !job.zip.atlas) {
+    const error = new Error('스프라이트 시트로 내보낸 작업이 아닙니다.');
     error.statusCode = 404;
     throw error;
   }
+  return {
+    filename: job.zip.filename.replace(/\.png$/i, '.json'),
+    atlas: job.zip.atlas,
+  };
+}
 
-  if (job.status !== 'completed' || !job.zip) {
-    const error = new Error('아직 다운로드할 수 없습니다.');
+function hashBuffer(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function findJobItem(sessionId, jobId, idx) {
+  const validSessionId = assertSessionId(sessionId);
+  cleanupExpiredJobs();
+
+  const job = getOwnedJob(validSessionId, jobId);
+  const item = (job.items || []).find((entry) => String(entry.idx) === idx);
+  if (!item) {
+    const error = new Error('이미지를 찾을 수 없습니다.');
+    error.statusCode = 404;
+    throw error;
+  }
+  return { job, item };
+}
+
+function buildItemFilename(job, item) {
+  return createEntryNamer({
+    template: job.options?.nameTemplate,
+    mode: job.options?.nameMode,
+    packageTitle: job.packageTitle,
+    packageId: item.packageId ?? job.packageId,
+  })(item, job.items.indexOf(item));
+}
+
+function getJobItem(sessionId, jobId, idx) {
+  const { job, item } = findJobItem(sessionId, jobId, idx);
+  const buffer = readStoredItem(job, item.storageKey);
+  return {
+    buffer,
+    mimeType: item.mimeType || 'application/octet-stream',
+    filename: buildItemFilename(job, item),
+    etag: item.sha256 || hashBuffer(buffer),
+    maxAge: ITEM_CACHE_MAX_AGE_SECONDS,
+  };
+}
+
+function forgetThumbnails(jobId) {
+  const prefix = `${jobId}:`;
+  for (const key of thumbnailCache.keys()) {
+    if (key.startsWith(prefix)) {
+      thumbnailCache.delete(key);
+    }
+  }
+}
+
+async function getJobItemThumbnail(sessionId, jobId, idx) {
+  const { job, item } = findJobItem(sessionId, jobId, idx);
+  const cacheKey = `${job.id}:${item.idx}`;
+
+  let thumbnail = thumbnailCache.get(cacheKey);
+  if (thumbnail) {
+    thumbnailCache.delete(cacheKey);
+  } else {
+    const buffer = readStoredItem(job, item.storageKey);
+    const created = await createThumbnail(buffer);
+    thumbnail = created
+      ? { ...created, etag: hashBuffer(created.buffer) }
+      : {
+          buffer,
+          mimeType: item.mimeType || 'application/octet-stream',
+          etag: item.sha256 || hashBuffer(buffer),
+        };
+  }
+
+  thumbnailCache.set(cacheKey, thumbnail);
+  while (thumbnailCache.size > MAX_CACHED_THUMBNAILS) {
+    thumbnailCache.delete(thumbnailCache.keys().next().value);
+  }
+  return { ...thumbnail, maxAge: ITEM_CACHE_MAX_AGE_SECONDS };
+}
+
+function selectExportItems(job, selection) {
+  if (!Array.isArray(selection) || !selection.length) {
+    const error = new Error('내보낼 이미지를 선택해주세요.');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const itemsByIdx = new Map(
+    (job.items || []).map((item) => [String(item.idx), item]),
+  );
+  const picked = [];
+  const seen = new Set();
+  const unknown = [];
+  selection.forEach((entry) => {
+    const idx = String(entry && typeof entry === 'object' ? entry.idx : entry);
+    const item = itemsByIdx.get(idx);
+    if (!item) {
+      unknown.push(idx);
+      return;
+    }
+    if (seen.has(idx)) {
+      return;
+    }
+    seen.add(idx);
+
+    const rawName = typeof entry?.name === 'string' ? entry.name.trim() : '';
+    const name = rawName
+      .replace(new RegExp(`\\.${item.ext || 'png'}$`, 'i'), '')
+      .slice(0, MAX_EXPORT_NAME_LENGTH);
+    picked.push({ item, name });
+  });
+
+  if (unknown.length) {
+    const error = new Error(
+      `작업에 없는 이미지가 있습니다: ${unknown.join(', ')}`,
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+  if (
+    picked.some(
+      ({ item }) =>
+        !item.storageKey ||
+        item.variants?.some((variant) => !variant.storageKey),
+    )
+  ) {
+    const error = new Error('보관된 이미지 파일을 찾을 수 없습니다.');
+    error.statusCode = 410;
+    throw error;
+  }
+
+  return picked.map(({ item, name }, index) => ({
+    ...item,
+    title: name || item.title,
+    sort: index + 1,
+  }));
+}
+
+function describeExportPackages(job, items) {
+  const packageIds = [...new Set(items.map((item) => item.packageId))];
+  return packageIds.map((packageId) => {
+    const source =
+      job.type === 'batch'
+        ? job.packages?.find((pack) => pack.packageId === packageId)
+        : null;
+    return {
+      packageId,
+      info: source ? { title: source.title } : job.packageInfo,
+      items: items.filter((item) => item.packageId === packageId),
+      failedItems: [],
+    };
+  });
+}
+
+async function exportJobItems(sessionId, jobId, selection) {
+  const validSessionId = assertSessionId(sessionId);
+  cleanupExpiredJobs();
+
+  const job = getOwnedJob(validSessionId, jobId);
+  if (!hasArchive(job)) {
+    const error = new Error(
+      '완료된 작업에서만 이미지를 골라 받을 수 있습니다.',
+    );
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const items = selectExportItems(job, selection);
+  const archive = await createItemArchive({
+    items,
+    packages: describeExportPackages(job, items),
+    options: job.options,
+    title: job.packageTitle,
+    packageId: job.packageId,
+    archivePath: path.join(os.tmpdir(), `dccon-${job.id}-${nanoid(8)}`),
+    readItem: (key) => readStoredItem(job, key),
+  });
+
+  return {
+    path: archive.path,
+    size: archive.size,
+    contentType: archive.contentType,
+    filename: `${buildArchiveBasename(
+      job.options,
+      `${job.packageTitle || 'dccon'}_${items.length}개`,
+      job.packageId,
+    )}${archive.extension}`,
+  };
+}
+
+function buildShareToken(job, share) {
+  return signToken({
+    typ: 'share',
+    sub: job.sessionId,
+    job: job.id,
+    share: share.id,
+    exp: new Date(share.expiresAt).getTime(),
+  });
+}
+
+function toPublicShare(job, share) {
+  const token = buildShareToken(job, share);
+  return {
+    id: share.id,
+    path: `/share/${token}`,
+    downloadPath: `/api/share/${token}/download`,
+    createdAt: share.createdAt,
+    expiresAt: share.expiresAt,
+    maxDownloads: share.maxDownloads,
+    downloads: share.downloads,
+    revokedAt: share.revokedAt,
+    active: isShareActive(share),
+  };
+}
+
+function parseShareOption(value, fallback, max, label) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const numeric = Number(value);
+  if (!Number.isInteger(numeric) || numeric <= 0 || numeric > max) {
+    const error = new Error(`${label} 값이 올바르지 않습니다.`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return numeric;
+}
+
+function createJobShare(sessionId, jobId, options = {}) {
+  const validSessionId = assertSessionId(sessionId);
+  cleanupExpiredJobs();
+
+  const job = getOwnedJob(validSessionId, jobId);
+  if (!hasArchive(job)) {
+    const error = new Error('완료된 작업만 공유할 수 있습니다.');
     error.statusCode = 409;
     throw error;
   }
 
-  return job.zip;
+  const expiresInSeconds = parseShareOption(
+    options.expiresIn,
+    SHARE_DEFAULT_TTL_MS / 1000,
+    SHARE_MAX_TTL_MS / 1000,
+    '유효 기간',
+  );
+  const maxDownloads = parseShareOption(
+    options.maxDownloads,
+    null,
+    MAX_SHARE_DOWNLOADS,
+    '다운로드 횟수',
+  );
+
+  const now = Date.now();
+  const shares = (job.shares || []).filter(
+    (share) => new Date(share.expiresAt).getTime() > now,
+  );
+  if (shares.length >= MAX_SHARES_PER_JOB) {
+    const error = new Error(
+      `작업 하나에 공유 링크는 최대 ${MAX_SHARES_PER_JOB}개까지 만들 수 있습니다.`,
+    );
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const share = {
+    id: nanoid(10),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + expiresInSeconds * 1000).toISOString(),
+    maxDownloads,
+    downloads: 0,
+    revokedAt: null,
+  };
+  job.shares = [...shares, share];
+  persistJob(job);
+
+  return toPublicShare(job, share);
+}
+
+function listJobShares(sessionId, jobId) {
+  const validSessionId = assertSessionId(sessionId);
+  const job = getOwnedJob(validSessionId, jobId);
+  return (job.shares || []).map((share) => toPublicShare(job, share));
+}
+
+function revokeJobShare(sessionId, jobId, shareId) {
+  const validSessionId = assertSessionId(sessionId);
+  const job = getOwnedJob(validSessionId, jobId);
+  const share = (job.shares || []).find((entry) => entry.id === shareId);
+  if (!share) {
+    const error = new Error('공유 링크를 찾을 수 없습니다.');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (!share.revokedAt) {
+    share.revokedAt = new Date().toISOString();
+    persistJob(job);
+  }
+  return toPublicShare(job, share);
+}
+
+// 공유 토큰은 서명만으로 믿지 않고, 작업에 남아 있는 공유 기록과 대조해 해제 여부를 확인합니다.
+function resolveShare(token) {
+  const payload = verifyToken(token);
+  const notFound = () => {
+    const error = new Error('공유 링크를 찾을 수 없습니다.');
+    error.statusCode = 404;
+    return error;
+  };
+  if (!payload || payload.typ !== 'share') {
+    throw notFound();
+  }
+
+  cleanupExpiredJobs();
+  const job = jobs.get(payload.job);
+  const share =
+    job && job.sessionId === payload.sub
+      ? (job.shares || []).find((entry) => entry.id === payload.share)
+      : null;
+  if (!share || !hasArchive(job)) {
+    throw notFound();
+  }
+  if (share.revokedAt) {
+    const error = new Error('공유가 해제된 링크입니다.');
+    error.statusCode = 410;
+    throw error;
+  }
+  if (payload.expired || new Date(share.expiresAt).getTime() <= Date.now()) {
+    const error = new Error('만료된 공유 링크입니다.');
+    error.statusCode = 410;
+    throw error;
+  }
+  return { job, share };
+}
+
+function getSharedJob(token) {
+  const { job, share } = resolveShare(token);
+  const base = `/api/share/${token}`;
+  return {
+    title: job.packageTitle || job.packageInfo?.title || 'dccon',
+    seller: job.packageInfo?.seller_name ?? null,
+    itemCount: job.items?.length ?? 0,
+    archive: {
+      filename: job.zip.filename,
+      size: job.zip.size,
+      sizeLabel: formatBytes(job.zip.size),
+      ...describeArchiveContainer(job.zip),
+      url: `${base}/download`,
+    },
+    expiresAt: share.expiresAt,
+    downloadsRemaining:
+      share.maxDownloads === null
+        ? null
+        : Math.max(0, share.maxDownloads - share.downloads),
+    items: (job.items || []).map((item) => ({
+      idx: item.idx,
+      sort: item.sort,
+      title: item.title,
+      ext: item.ext,
+      sizeLabel: formatBytes(item.size),
+      url: `${base}/items/${encodeURIComponent(item.idx)}`,
+      thumbnailUrl: `${base}/items/${encodeURIComponent(item.idx)}/thumbnail`,
+    })),
+  };
+}
+
+// 다운로드 횟수는 전송을 시작할 때 미리 차감하고, 전송이 실패하면 release로 되돌립니다.
+function startSharedDownload(token) {
+  const { job, share } = resolveShare(token);
+  if (share.maxDownloads !== null && share.downloads >= share.maxDownloads) {
+    const error = new Error('이 링크의 다운로드 횟수를 모두 사용했습니다.');
+    error.statusCode = 410;
+    throw error;
+  }
+
+  const download = getJobDownloadData(job.sessionId, job.id);
+  share.downloads += 1;
+  persistJob(job);
+
+  let released = false;
+  return {
+    ...download,
+    release() {
+      if (!released && share.downloads > 0) {
+        released = true;
+        share.downloads -= 1;
+        persistJob(job);
+      }
+    },
+  };
+}
+
+function getSharedItem(token, idx) {
+  const { job } = resolveShare(token);
+  return getJobItem(job.sessionId, job.id, idx);
+}
+
+function getSharedItemThumbnail(token, idx) {
+  const { job } = resolveShare(token);
+  return getJobItemThumbnail(job.sessionId, job.id, idx);
+}
+
+function retryMissingItems(sessionId, jobId) {
+  const validSessionId = assertSessionId(sessionId);
+  const job = getOwnedJob(validSessionId, jobId);
+
+  if (job.status !== 'completed_with_errors') {
+    const error = new Error('다시 받을 누락 항목이 없습니다.');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  assertWithinQuota(validSessionId, { countNewJob: false });
+  job.retryMissing = true;
+  job.status = 'queued';
+  job.stage = 'queued';
+  job.progress = 0;
+  job.message = '누락된 항목을 다시 받기 위해 대기 중입니다.';
+  job.updatedAt = new Date().toISOString();
+  persistJob(job);
+
+  scheduler.enqueue(job.id, job.sessionId, job.priority);
+  emitJobEvent('progress', job);
+  processQueue();
+
+  return toPublicJob(job);
+}
+
+function cancelJob(sessionId, jobId) {
+  const validSessionId = assertSessionId(sessionId);
+  const job = getOwnedJob(validSessionId, jobId);
+
+  if (job.status === 'queued') {
+    scheduler.remove(job.id);
+
+    const now = new Date().toISOString();
+    job.status = 'cancelled';
+    job.stage = 'cancelled';
+    job.message = '작업이 취소되었습니다.';
+    job.cancelledAt = now;
+    job.updatedAt = now;
+    persistJob(job);
+    emitJobEvent('cancelled', job);
+    emitQueuePositions();
+    return toPublicJob(job);
+  }
+
+  if (job.status === 'processing') {
+    const controller = jobControllers.get(job.id);
+    if (controller && !controller.signal.aborted) {
+      job.message = '작업을 취소하는 중입니다.';
+      job.updatedAt = new Date().toISOString();
+      emitJobEvent('progress', job);
+      controller.abort(createCancelError());
+    }
+    return toPublicJob(job);
+  }
+
+  const error = new Error('이미 끝난 작업은 취소할 수 없습니다.');
+  error.statusCode = 409;
+  throw error;
+}
+
+function deleteJob(sessionId, jobId) {
+  const validSessionId = assertSessionId(sessionId);
+  const job = getOwnedJob(validSessionId, jobId);
+
+  if (job.status === 'processing' || !removeJob(job.id)) {
+    const error = new Error('진행 중인 작업은 먼저 취소해주세요.');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  return true;
+}
+
+function hydrateJob(record) {
+  const job = { ...record, items: record.items || [] };
+  // 재시도 타이머는 메모리에만 있으므로 재시작 전에 끝나지 않은 전송은 실패로 남깁니다.
+  job.webhookDeliveries = (record.webhookDeliveries || []).map((delivery) =>
+    delivery.status === 'pending'
+      ? {
+          ...delivery,
+          status: 'failed',
+          nextAttemptAt: null,
+          lastError: '서버가 재시작되어 재전송을 중단했습니다.',
+        }
+      : delivery,
+  );
+  return job;
+}
+
+function restoreJobs() {
+  let records;
+  try {
+    records = store.loadJobs();
+  } catch (error) {
+    console.error('저장된 작업을 불러오지 못했습니다:', error);
+    return { restored: 0, requeued: 0, interrupted: 0 };
+  }
+
+  records.sort(
+    (a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime(),
+  );
+
+  let requeued = 0;
+  let interrupted = 0;
+  for (const record of records) {
+    if (!record?.id || !record.sessionId || jobs.has(record.id)) {
+      continue;
+    }
+
+    const job = hydrateJob(record);
+    if (job.status === 'processing') {
+      const now = new Date().toISOString();
+      if (INTERRUPTED_JOB_POLICY === 'fail') {
+        job.status = 'failed';
+        job.stage = 'failed';
+        job.interrupted = true;
+        job.error = '서버가 재시작되어 작업이 중단되었습니다.';
+        job.message = job.error;
+        interrupted += 1;
+      } else {
+        job.status = 'queued';
+        job.stage = 'queued';
+        job.progress = 0;
+        job.message = '서버가 재시작되어 작업을 다시 대기열에 넣었습니다.';
+      }
+      job.updatedAt = now;
+      persistJob(job);
+    }
+
+    jobs.set(job.id, job);
+    getSessionOrder(job.sessionId).push(job.id);
+    const createdAt = new Date(job.createdAt).getTime();
+    if (Date.now() - createdAt < QUOTA_WINDOW_MS) {
+      recordJobCreation(job.sessionId, createdAt);
+    }
+    if (job.status === 'queued') {
+      scheduler.enqueue(job.id, job.sessionId, job.priority);
+      requeued += 1;
+    }
+  }
+
+  cleanupExpiredJobs();
+  processQueue();
+
+  return { restored: jobs.size, requeued, interrupted };
 }
 
 module.exports = {
+  restoreJobs,
   createJob,
+  createBatchJob,
   listJobs,
   getJob,
   getJobDownloadData,
+  getJobAtlas,
+  getJobItem,
+  getQuotaUsage,
+  createJobShare,
+  listJobShares,
+  revokeJobShare,
+  getSharedJob,
+  getSharedItem,
+  getSharedItemThumbnail,
+  startSharedDownload,
+  getJobWebhookDeliveries,
+  getJobItemThumbnail,
+  exportJobItems,
+  retryMissingItems,
+  cancelJob,
+  deleteJob,
+  subscribeJobEvents,
 };
@@ -0,0 +1,153 @@
+'use strict';
+
+const JOB_PRIORITIES = { low: -1, normal: 0, high: 1 };
+const DEFAULT_PRIORITY = 'normal';
+const DURATION_SAMPLES = 20;
+
+function normalizePriority(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const normalized = value.trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(JOB_PRIORITIES, normalized)
+    ? normalized
+    : null;
+}
+
+// 세션 사이를 돌아가며 꺼내므로 작업을 많이 넣은 세션이 다른 세션을 막지 못합니다.
+function pickNext(lanes, canStart = () => true) {
+  let picked = null;
+  for (const [sessionId, entries] of lanes) {
+    if (!canStart(sessionId)) {
+      continue;
+    }
+    const [head] = entries;
+    if (!picked || head.rank > picked.head.rank) {
+      picked = { sessionId, head };
+    }
+  }
+  if (!picked) {
+    return null;
+  }
+  const entries = lanes.get(picked.sessionId);
+  entries.shift();
+  lanes.delete(picked.sessionId);
+  if (entries.length) {
+    lanes.set(picked.sessionId, entries);
+  }
+  return picked.head.jobId;
+}
+
+function createJobScheduler({
+  defaultDurationMs = 30000,
+  durationSamples = DURATION_SAMPLES,
+} = {}) {
+  const lanes = new Map();
+  const durations = [];
+  let plannedOrder = null;
+
+  const invalidate = () => {
+    plannedOrder = null;
+  };
+
+  const planOrder = () => {
+    if (!plannedOrder) {
+      const copy = new Map(
+        [...lanes].map(([sessionId, entries]) => [sessionId, [...entries]]),
+      );
+      plannedOrder = [];
+      let jobId = pickNext(copy);
+      while (jobId) {
+        plannedOrder.push(jobId);
+        jobId = pickNext(copy);
+      }
+    }
+    return plannedOrder;
+  };
+
+  const remove = (jobId) => {
+    for (const [sessionId, entries] of lanes) {
+      const index = entries.findIndex((entry) => entry.jobId === jobId);
+      if (index === -1) {
+        continue;
+      }
+      entries.splice(index, 1);
+      if (!entries.length) {
+        lanes.delete(sessionId);
+      }
+      invalidate();
+      return true;
+    }
+    return false;
+  };
+
+  const getAverageDuration = () =>
+    durations.length
+      ? durations.reduce((sum, value) => sum + value, 0) / durations.length
+      : defaultDurationMs;
+
+  return {
+    enqueue(jobId, sessionId, priority = DEFAULT_PRIORITY) {
+      remove(jobId);
+      const rank = JOB_PRIORITIES[priority] ?? JOB_PRIORITIES[DEFAULT_PRIORITY];
+      const entries = lanes.get(sessionId) || [];
+      const index = entries.findIndex((entry) => entry.rank < rank);
+      entries.splice(index === -1 ? entries.length : index, 0, {
+        jobId,
+        rank,
+      });
+      lanes.set(sessionId, entries);
+      invalidate();
+    },
+    remove,
+    next(canStart) {
+      const jobId = pickNext(lanes, canStart);
+      if (jobId) {
+        invalidate();
+      }
+      return jobId;
+    },
+    countQueued(sessionId) {
+      return lanes.get(sessionId)?.length || 0;
+    },
+    recordDuration(durationMs) {
+      if (!Number.isFinite(durationMs) || durationMs < 0) {
+        return;
+      }
+      durations.push(durationMs);
+      if (durations.length > durationSamples) {
+        durations.shift();
+      }
+    },
+    getAverageDuration,
+    // running에는 진행 중인 작업마다 남은 예상 시간(ms)을 넣습니다.
+    estimate(jobId, { running = [], concurrency = 1 } = {}) {
+      const order = planOrder();
+      const position = order.indexOf(jobId);
+      if (position === -1) {
+        return null;
+      }
+      const average = getAverageDuration();
+      const slots = [...running];
+      while (slots.length < concurrency) {
+        slots.push(0);
+      }
+      slots.sort((a, b) => a - b);
+      let startsInMs = 0;
+      for (let index = 0; index <= position; index += 1) {
+        startsInMs = slots.shift();
+        const finishesAt = startsInMs + average;
+        const insertAt = slots.findIndex((value) => value > finishesAt);
+        slots.splice(insertAt === -1 ? slots.length : insertAt, 0, finishesAt);
+      }
+      return { position: position + 1, startsInMs: Math.round(startsInMs) };
+    },
+  };
+}
+
+module.exports = {
+  JOB_PRIORITIES,
+  DEFAULT_PRIORITY,
+  normalizePriority,
+  createJobScheduler,
+};
@@ -0,0 +1,154 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.resolve(__dirname, '..', 'data');
+const JOB_FILENAME = 'job.json';
+const ARCHIVE_FILENAME = 'archive.zip';
+const ITEMS_DIRNAME = 'items';
+
+function createMemoryJobStore() {
+  const records = new Map();
+  const itemBuffers = new Map();
+  let archiveDir = null;
+
+  const archiveDirFor = (jobId) => {
+    if (!archiveDir) {
+      archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dccon-exporter-'));
+    }
+    return path.join(archiveDir, jobId);
+  };
+
+  return {
+    driver: 'memory',
+    loadJobs() {
+      return [...records.values()].map((record) =>
+        JSON.parse(JSON.stringify(record)),
+      );
+    },
+    saveJob(record) {
+      records.set(record.id, JSON.parse(JSON.stringify(record)));
+    },
+    deleteJob(jobId) {
+      records.delete(jobId);
+      itemBuffers.delete(jobId);
+      if (archiveDir) {
+        fs.rmSync(archiveDirFor(jobId), { recursive: true, force: true });
+      }
+    },
+    getArchivePath(jobId) {
+      const dir = archiveDirFor(jobId);
+      fs.mkdirSync(dir, { recursive: true });
+      return path.join(dir, ARCHIVE_FILENAME);
+    },
+    writeItem(jobId, key, buffer) {
+      if (!itemBuffers.has(jobId)) {
+        itemBuffers.set(jobId, new Map());
+      }
+      itemBuffers.get(jobId).set(key, buffer);
+    },
+    readItem(jobId, key) {
+      return itemBuffers.get(jobId)?.get(key) || null;
+    },
+  };
+}
+
+function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, data);
+  fs.renameSync(tempPath, filePath);
+}
+
+function readFileOrNull(filePath) {
+  try {
+    return fs.readFileSync(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function createFileJobStore(dataDir = DEFAULT_DATA_DIR) {
+  const jobsDir = path.join(path.resolve(dataDir), 'jobs');
+  fs.mkdirSync(jobsDir, { recursive: true });
+
+  const jobDir = (jobId) => {
+    if (!/^[A-Za-z0-9_-]+$/.test(jobId)) {
+      throw new Error(`잘못된 작업 식별자입니다: ${jobId}`);
+    }
+    return path.join(jobsDir, jobId);
+  };
+
+  const itemPath = (jobId, key) =>
+    path.join(jobDir(jobId), ITEMS_DIRNAME, path.basename(key));
+
+  return {
+    driver: 'fs',
+    dataDir: path.resolve(dataDir),
+    loadJobs() {
+      const records = [];
+      for (const entry of fs.readdirSync(jobsDir, { withFileTypes: true })) {
+        if (!entry.isDirectory()) {
+          continue;
+        }
+        const raw = readFileOrNull(
+          path.join(jobsDir, entry.name, JOB_FILENAME),
+        );
+        if (!raw) {
+          continue;
+        }
+        try {
+          records.push(JSON.parse(raw.toString('utf8')));
+        } catch (error) {
+          console.warn(
+            `작업 메타데이터를 읽지 못했습니다 (${entry.name}):`,
+            error.message,
+          );
+        }
+      }
+      return records;
+    },
+    saveJob(record) {
+      const dir = jobDir(record.id);
+      fs.mkdirSync(dir, { recursive: true });
+      writeFileAtomic(path.join(dir, JOB_FILENAME), JSON.stringify(record));
+    },
+    deleteJob(jobId) {
+      fs.rmSync(jobDir(jobId), { recursive: true, force: true });
+    },
+    getArchivePath(jobId) {
+      const dir = jobDir(jobId);
+      fs.mkdirSync(dir, { recursive: true });
+      return path.join(dir, ARCHIVE_FILENAME);
+    },
+    writeItem(jobId, key, buffer) {
+      const filePath = itemPath(jobId, key);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      writeFileAtomic(filePath, buffer);
+    },
+    readItem(jobId, key) {
+      return readFileOrNull(itemPath(jobId, key));
+    },
+  };
+}
+
+function createJobStore({ driver, dataDir } = {}) {
+  const normalizedDriver = (driver || 'fs').trim().toLowerCase();
+  if (normalizedDriver === 'memory') {
+    return createMemoryJobStore();
+  }
+  if (normalizedDriver === 'fs' || normalizedDriver === 'file') {
+    return createFileJobStore(dataDir || DEFAULT_DATA_DIR);
+  }
+  throw new Error(`지원하지 않는 작업 저장소입니다: ${driver}`);
+}
+
+module.exports = {
+  createJobStore,
+  createMemoryJobStore,
+  createFileJobStore,
+};
@@ -0,0 +1,204 @@
+'use strict';
+
+const { escapeHtml } = require('./utils');
+
+const MANIFEST_FILENAME = 'manifest.json';
+const MANIFEST_VERSION = 1;
+const INDEX_FORMATS = new Set(['csv', 'html']);
+const CSV_COLUMNS = [
+  'packageId',
+  'sort',
+  'idx',
+  'title',
+  'file',
+  'format',
+  'width',
+  'height',
+  'bytes',
+  'resized',
+  'sha256',
+  'variant',
+  'originalBytes',
+];
+
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) {
+    return [];
+  }
+  return tags
+    .map((tag) => (typeof tag === 'string' ? tag : tag?.tag))
+    .filter((tag) => typeof tag === 'string' && tag.trim())
+    .map((tag) => tag.trim());
+}
+
+function describePackage({
+  packageId,
+  info,
+  tags,
+  folder,
+  items,
+  failedItems,
+}) {
+  return {
+    packageId,
+    title: info?.title ?? null,
+    seller: info?.seller_name ?? null,
+    description: info?.description ?? null,
+    tags: normalizeTags(tags),
+    registeredAt: info?.reg_date ?? null,
+    folder: folder ?? null,
+    itemCount: items.length,
+    failedItems: failedItems.map((failed) => ({
+      idx: failed.idx,
+      sort: failed.sort,
+      title: failed.title,
+      error: failed.error,
+    })),
+  };
+}
+
+function describeItem(entry) {
+  const { item } = entry;
+  return {
+    packageId: item.packageId,
+    idx: item.idx,
+    sort: item.sort,
+    title: item.title,
+    originalPath: item.path,
+    originalFormat: item.sourceExt ?? null,
+    file: entry.name,
+    variant: item.variant ?? null,
+    format: item.ext,
+    mimeType: item.mimeType,
+    width: item.width ?? null,
+    height: item.height ?? null,
+    frames: item.frames || 1,
+    animated: Boolean(item.animated),
+    bytes: item.size,
+    originalBytes: item.budget?.originalSize ?? null,
+    budget: item.budget
+      ? {
+          maxBytes: item.budget.maxBytes,
+          fits: item.budget.fits,
+          steps: item.budget.steps,
+        }
+      : null,
+    resized: Boolean(item.resized),
+    converted: Boolean(item.converted),
+    sha256: item.sha256 ?? null,
+  };
+}
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildCsvIndex(manifest) {
+  const rows = manifest.items.map((item) =>
+    CSV_COLUMNS.map((column) => escapeCsvValue(item[column])).join(','),
+  );
+  // 엑셀에서 한글이 깨지지 않도록 BOM을 붙입니다.
+  return `\ufeff${[CSV_COLUMNS.join(','), ...rows].join('\r\n')}\r\n`;
+}
+
+function toHref(file) {
+  return file.split('/').map(encodeURIComponent).join('/');
+}
+
+function buildHtmlIndex(manifest) {
+  const title = manifest.packages.map((pack) => pack.title).join(', ');
+  const sections = manifest.packages.map((pack) => {
+    const rows = manifest.items
+      .filter((item) => item.packageId === pack.packageId)
+      .map(
+        (item) => `        <tr>
+          <td><img src="${escapeHtml(toHref(item.file))}" alt="${escapeHtml(item.title)}" loading="lazy" /></td>
+          <td>${escapeHtml(item.sort)}</td>
+          <td>${escapeHtml(item.title)}</td>
+          <td><a href="${escapeHtml(toHref(item.file))}">${escapeHtml(item.file)}</a></td>
+          <td>${escapeHtml(item.format)}</td>
+          <td>${escapeHtml(item.width)} x ${escapeHtml(item.height)}</td>
+          <td>${escapeHtml(item.bytes)}</td>
+        </tr>`,
+      )
+      .join('\n');
+    const tags = pack.tags.length
+      ? `\n    <p class="tags">${pack.tags.map(escapeHtml).join(' · ')}</p>`
+      : '';
+    return `  <section>
+    <h2>${escapeHtml(pack.title || pack.packageId)}</h2>
+    <p>${escapeHtml(pack.seller || '')}</p>${tags}
+    <table>
+      <thead>
+        <tr><th></th><th>#</th><th>제목</th><th>파일</th><th>형식</th><th>크기</th><th>바이트</th></tr>
+      </thead>
+      <tbody>
+${rows}
+      </tbody>
+    </table>
+  </section>`;
+  });
+
+  return `<!doctype html>
+<html lang="ko">
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; }
+    th, td { padding: 0.25rem 0.75rem; border-bottom: 1px solid #ddd; text-align: left; }
+    img { width: 64px; height: 64px; object-fit: contain; }
+    .tags { color: #666; }
+  </style>
+</head>
+<body>
+  <p>내보낸 시각: ${escapeHtml(manifest.exportedAt)}</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+const INDEX_BUILDERS = {
+  csv: { filename: 'index.csv', build: buildCsvIndex },
+  html: { filename: 'index.html', build: buildHtmlIndex },
+};
+
+function buildManifestEntries({ packages, entries, options = {} }) {
+  const manifest = {
+    version: MANIFEST_VERSION,
+    exportedAt: new Date().toISOString(),
+    options,
+    packages: packages.map(describePackage),
+    items: entries.filter((entry) => entry.item).map(describeItem),
+  };
+
+  const manifestEntries = [
+    {
+      name: MANIFEST_FILENAME,
+      buffer: Buffer.from(`${JSON.stringify(manifest, null, 2)}\n`, 'utf8'),
+    },
+  ];
+
+  const index = INDEX_FORMATS.has(options.index)
+    ? INDEX_BUILDERS[options.index]
+    : null;
+  if (index) {
+    manifestEntries.push({
+      name: index.filename,
+      buffer: Buffer.from(index.build(manifest), 'utf8'),
+    });
+  }
+  return manifestEntries;
+}
+
+module.exports = {
+  MANIFEST_FILENAME,
+  INDEX_FORMATS,
+  buildManifestEntries,
+};
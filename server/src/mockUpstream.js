@@ -0,0 +1,223 @@
+'use strict';
+
+const crypto = require('crypto');
+const express = require('express');
+const sharp = require('sharp');
+
+const DEFAULT_MOCK_PORT = 4100;
+const IMAGE_SIZE = 200;
+
+const MOCK_PACKAGES = [
+  {
+    packageId: '100001',
+    title: '테스트 디시콘',
+    seller: '모의 판매자',
+    description: '오프라인 개발용 정적 이미지 모음입니다.',
+    tags: ['테스트', '정적'],
+    items: [
+      { title: '빨강', format: 'png', colors: ['#ef4444'] },
+      { title: '주황', format: 'png', colors: ['#f97316'] },
+      { title: '초록', format: 'png', colors: ['#22c55e'] },
+      { title: '파랑', format: 'jpg', colors: ['#3b82f6'] },
+      { title: '깜빡임', format: 'gif', colors: ['#a855f7', '#facc15'] },
+    ],
+  },
+  {
+    packageId: '100002',
+    title: '움직이는 테스트콘',
+    seller: '모의 판매자',
+    description: '애니메이션 변환 확인용 모음입니다.',
+    tags: ['테스트', '애니메이션'],
+    items: [
+      {
+        title: '신호등',
+        format: 'gif',
+        colors: ['#ef4444', '#facc15', '#22c55e'],
+      },
+      { title: '물결', format: 'webp', colors: ['#0ea5e9', '#6366f1'] },
+      { title: '정지', format: 'png', colors: ['#64748b'] },
+    ],
+  },
+];
+
+const MIME_BY_FORMAT = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+};
+
+function renderFrame(color, index) {
+  const radius = 40 + index * 15;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${IMAGE_SIZE}" height="${IMAGE_SIZE}">
+  <rect width="100%" height="100%" rx="24" fill="${color}" />
+  <circle cx="${IMAGE_SIZE / 2}" cy="${IMAGE_SIZE / 2}" r="${radius}" fill="#ffffff" fill-opacity="0.6" />
+</svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+async function renderImage({ format, colors }) {
+  const frames = await Promise.all(colors.map(renderFrame));
+  if (frames.length > 1) {
+    const animated = sharp(frames, { join: { animated: true } });
+    const options = { delay: frames.map(() => 200), loop: 0 };
+    return format === 'webp'
+      ? animated.webp(options).toBuffer()
+      : animated.gif(options).toBuffer();
+  }
+  const image = sharp(frames[0]);
+  if (format === 'jpg') {
+    return image.flatten({ background: '#ffffff' }).jpeg().toBuffer();
+  }
+  return format === 'webp' ? image.webp().toBuffer() : image.png().toBuffer();
+}
+
+async function buildFixtures(packages = MOCK_PACKAGES) {
+  const images = new Map();
+  const details = new Map();
+
+  for (const pack of packages) {
+    const detail = [];
+    for (let index = 0; index < pack.items.length; index += 1) {
+      const item = pack.items[index];
+      const path = `mock_${pack.packageId}_${index + 1}`;
+      images.set(path, {
+        buffer: await renderImage(item),
+        mimeType: MIME_BY_FORMAT[item.format],
+      });
+      detail.push({
+        idx: `${pack.packageId}${String(index + 1).padStart(3, '0')}`,
+        package_idx: pack.packageId,
+        title: item.title,
+        sort: String(index + 1),
+        ext: item.format,
+        path,
+      });
+    }
+
+    details.set(pack.packageId, {
+      info: {
+        package_idx: pack.packageId,
+        title: pack.title,
+        seller_name: pack.seller,
+        description: pack.description,
+        reg_date: '2024-01-01 00:00:00',
+      },
+      detail,
+      tags: pack.tags.map((tag) => ({ tag })),
+    });
+  }
+
+  return { images, details };
+}
+
+function readCookie(req, name) {
+  const header = req.get('cookie') || '';
+  const match = header.match(new RegExp(`(?:^|;\\s*)${name}=([^;]+)`));
+  return match ? match[1] : null;
+}
+
+function createMockApp(fixtures, { latencyMs = 0 } = {}) {
+  const app = express();
+  const tokens = new Set();
+
+  if (latencyMs > 0) {
+    app.use((req, res, next) => {
+      setTimeout(next, latencyMs);
+    });
+  }
+
+  app.get('/', (req, res) => {
+    const token = crypto.randomBytes(16).toString('hex');
+    tokens.add(token);
+    res.cookie('ci_c', token, { path: '/' });
+    res.cookie('PHPSESSID', crypto.randomBytes(8).toString('hex'), {
+      path: '/',
+    });
+    res.type('html').send('<!doctype html><title>mock dccon</title>');
+  });
+
+  app.post(
+    '/index/package_detail',
+    express.urlencoded({ extended: false }),
+    (req, res) => {
+      const token = req.body?.ci_t;
+      if (!token || !tokens.has(token) || readCookie(req, 'ci_c') !== token) {
+        // 실제 서비스처럼 토큰이 맞지 않으면 JSON 대신 HTML을 돌려줍니다.
+        res.type('html').send('<script>alert("잘못된 접근입니다.")</script>');
+        return;
+      }
+
+      const detail = fixtures.details.get(String(req.body.package_idx));
+      if (!detail) {
+        res.json({ info: null, detail: null });
+        return;
+      }
+      res.json(detail);
+    },
+  );
+
+  app.get('/dccon.php', (req, res) => {
+    if (!req.get('referer')) {
+      res.status(403).send('Forbidden');
+      return;
+    }
+    const image = fixtures.images.get(String(req.query.no || ''));
+    if (!image) {
+      res.status(404).send('Not Found');
+      return;
+    }
+    res.type(image.mimeType).send(image.buffer);
+  });
+
+  return app;
+}
+
+async function startMockUpstream({
+  port = 0,
+  host = '127.0.0.1',
+  latencyMs = 0,
+  packages,
+} = {}) {
+  const fixtures = await buildFixtures(packages);
+  const app = createMockApp(fixtures, { latencyMs });
+  const server = await new Promise((resolve, reject) => {
+    const listening = app.listen(port, host, (error) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve(listening);
+    });
+  });
+
+  const baseUrl = `http://${host}:${server.address().port}`;
+  return {
+    baseUrl,
+    imageEndpoint: `${baseUrl}/dccon.php?no=`,
+    packageIds: [...fixtures.details.keys()],
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  };
+}
+
+module.exports = {
+  MOCK_PACKAGES,
+  startMockUpstream,
+};
+
+if (require.main === module) {
+  startMockUpstream({
+    port: Number(process.env.MOCK_UPSTREAM_PORT) || DEFAULT_MOCK_PORT,
+    latencyMs: Number(process.env.MOCK_UPSTREAM_LATENCY_MS) || 0,
+  })
+    .then((mock) => {
+      console.log(`mock upstream listening on ${mock.baseUrl}`);
+      console.log(`  UPSTREAM_BASE_URL=${mock.baseUrl}`);
+      console.log(`  UPSTREAM_IMAGE_ENDPOINT=${mock.imageEndpoint}`);
+      console.log(`  packages: ${mock.packageIds.join(', ')}`);
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,367 @@
+'use strict';
+
+const fs = require('fs');
+const archiver = require('archiver');
+const { createSpriteSheet } = require('./imageProcessor');
+const { MANIFEST_FILENAME } = require('./manifest');
+const { escapeHtml, formatBytes } = require('./utils');
+
+const OUTPUT_CONTAINERS = {
+  zip: { extension: '.zip', contentType: 'application/zip', label: 'ZIP' },
+  'tar.gz': {
+    extension: '.tar.gz',
+    contentType: 'application/gzip',
+    label: 'tar.gz',
+  },
+  sprite: {
+    extension: '.png',
+    contentType: 'image/png',
+    label: '스프라이트 시트',
+  },
+  html: {
+    extension: '.html',
+    contentType: 'text/html; charset=utf-8',
+    label: 'HTML 갤러리',
+  },
+};
+const DEFAULT_CONTAINER = 'zip';
+const CONTAINER_ALIASES = { tgz: 'tar.gz', targz: 'tar.gz', png: 'sprite' };
+// 디시콘 이미지는 이미 압축된 형식이라 ZIP은 기본으로 압축 없이 담습니다.
+const DEFAULT_ZIP_LEVEL = 0;
+const DEFAULT_GZIP_LEVEL = 6;
+const ATLAS_VERSION = 1;
+
+function getOutputContainer(name) {
+  return OUTPUT_CONTAINERS[name] || OUTPUT_CONTAINERS[DEFAULT_CONTAINER];
+}
+
+function normalizeContainerName(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const normalized = value.trim().toLowerCase();
+  const name = CONTAINER_ALIASES[normalized] || normalized;
+  return OUTPUT_CONTAINERS[name] ? name : null;
+}
+
+function normalizeCompressionLevel(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const numeric = Number(value);
+  if (!Number.isInteger(numeric) || numeric < 0 || numeric > 9) {
+    return null;
+  }
+  return numeric;
+}
+
+function readEntryBuffer(entry, readItem) {
+  const key = entry.item?.storageKey;
+  const buffer = entry.buffer || (key && readItem ? readItem(key) : null);
+  if (!buffer) {
+    throw new Error(`${entry.name} 파일을 읽을 수 없습니다.`);
+  }
+  return buffer;
+}
+
+function writeArchive(
+  entries,
+  destinationPath,
+  { format, options },
+  signal,
+  readItem,
+) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const partialPath = `${destinationPath}.partial`;
+    const output = fs.createWriteStream(partialPath);
+    const archive = archiver(format, options);
+    let settled = false;
+
+    const fail = (error) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      signal?.removeEventListener('abort', onAbort);
+      archive.abort();
+      output.destroy();
+      fs.rm(partialPath, { force: true }, () => reject(error));
+    };
+    const onAbort = () => fail(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    output.on('error', fail);
+    archive.on('error', fail);
+    output.on('close', () => {
+      if (settled) {
+        return;
+      }
+      fs.rename(partialPath, destinationPath, (error) => {
+        if (error) {
+          fail(error);
+          return;
+        }
+        settled = true;
+        signal?.removeEventListener('abort', onAbort);
+        resolve({ path: destinationPath, size: archive.pointer() });
+      });
+    });
+
+    archive.pipe(output);
+
+    // 앞 항목이 다 쓰인 뒤에 다음 항목을 읽어 한 번에 하나의 버퍼만 들고 있습니다.
+    let position = 0;
+    const appendNext = () => {
+      if (settled) {
+        return;
+      }
+      if (position >= entries.length) {
+        archive.finalize();
+        return;
+      }
+      const entry = entries[position];
+      position += 1;
+      try {
+        archive.append(readEntryBuffer(entry, readItem), { name: entry.name });
+      } catch (error) {
+        fail(error);
+      }
+    };
+    archive.on('entry', appendNext);
+    appendNext();
+  });
+}
+
+async function writeBuffer(buffer, destinationPath, signal) {
+  signal?.throwIfAborted();
+  const partialPath = `${destinationPath}.partial`;
+  try {
+    await fs.promises.writeFile(partialPath, buffer);
+    signal?.throwIfAborted();
+    await fs.promises.rename(partialPath, destinationPath);
+  } catch (error) {
+    await fs.promises.rm(partialPath, { force: true });
+    throw error;
+  }
+  return { path: destinationPath, size: buffer.length };
+}
+
+function buildArchiveOptions(container, compressionLevel) {
+  if (container === 'tar.gz') {
+    return {
+      format: 'tar',
+      options: {
+        gzip: true,
+        gzipOptions: {
+          level: Math.max(1, compressionLevel ?? DEFAULT_GZIP_LEVEL),
+        },
+      },
+    };
+  }
+  const level = compressionLevel ?? DEFAULT_ZIP_LEVEL;
+  return {
+    format: 'zip',
+    options: level === 0 ? { store: true } : { zlib: { level } },
+  };
+}
+
+function buildSpriteAtlas(imageEntries, sheet, imageName) {
+  return {
+    version: ATLAS_VERSION,
+    image: imageName,
+    width: sheet.width,
+    height: sheet.height,
+    sprites: imageEntries.map((entry, index) => ({
+      file: entry.name,
+      packageId: entry.item.packageId ?? null,
+      idx: entry.item.idx,
+      sort: entry.item.sort,
+      title: entry.item.title,
+      animated: Boolean(entry.item.animated),
+      ...sheet.cells[index],
+    })),
+  };
+}
+
+function toDataUrl(entry, buffer) {
+  const mimeType = entry.item.mimeType || 'application/octet-stream';
+  return `data:${mimeType};base64,${buffer.toString('base64')}`;
+}
+
+function renderGalleryPage(
+  imageEntries,
+  { title, packages = [], manifest, readItem },
+) {
+  const sections = packages
+    .map((pack) => ({
+      title: pack.info?.title || String(pack.packageId || ''),
+      seller: pack.info?.seller_name ?? null,
+      entries: imageEntries.filter(
+        (entry) =>
+          packages.length === 1 ||
+          String(entry.item.packageId) === String(pack.packageId),
+      ),
+    }))
+    .filter((section) => section.entries.length);
+  if (!sections.length) {
+    sections.push({ title, seller: null, entries: imageEntries });
+  }
+
+  const body = sections
+    .map((section) => {
+      const figures = section.entries
+        .map((entry) => {
+          const source = toDataUrl(entry, readEntryBuffer(entry, readItem));
+          const filename = entry.name.split('/').pop();
+          return `        <figure>
+          <img src="${source}" alt="${escapeHtml(entry.item.title)}" />
+          <figcaption><a href="${source}" download="${escapeHtml(filename)}">${escapeHtml(
+            entry.item.title || filename,
+          )}</a></figcaption>
+        </figure>`;
+        })
+        .join('\n');
+      const meta = [section.seller, `${section.entries.length}개`]
+        .filter(Boolean)
+        .join(' · ');
+      return `    <section>
+      <h2>${escapeHtml(section.title)}</h2>
+      <p class="meta">${escapeHtml(meta)}</p>
+      <div class="grid">
+${figures}
+      </div>
+    </section>`;
+    })
+    .join('\n');
+
+  return `<!doctype html>
+<html lang="ko">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 0; background: #0f172a; color: #e2e8f0; }
+    main { max-width: 960px; margin: 0 auto; padding: 2rem 1.25rem 3rem; }
+    h1 { margin: 0 0 0.35rem; font-size: 1.6rem; }
+    h2 { margin: 2rem 0 0.25rem; font-size: 1.2rem; }
+    .meta { margin: 0 0 1rem; color: #94a3b8; font-size: 0.9rem; }
+    .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(120px, 1fr)); gap: 0.9rem; }
+    figure { margin: 0; padding: 0.6rem; border-radius: 14px; background: rgba(30, 41, 59, 0.8); text-align: center; }
+    figure img { width: 96px; height: 96px; object-fit: contain; }
+    figcaption { margin-top: 0.35rem; font-size: 0.8rem; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    figcaption a { color: inherit; text-decoration: none; }
+  </style>${
+    manifest
+      ? `
+  <script type="application/json" id="manifest">${manifest
+    .trim()
+    .replace(/</g, '\\u003c')}</script>`
+      : ''
+  }
+</head>
+<body>
+  <main>
+    <h1>${escapeHtml(title)}</h1>
+    <p class="meta">${escapeHtml(
+      `${imageEntries.length}개 · ${formatBytes(
+        imageEntries.reduce((sum, entry) => sum + (entry.item.size || 0), 0),
+      )} · ${new Date().toISOString()}`,
+    )}</p>
+${body}
+  </main>
+</body>
+</html>
+`;
+}
+
+// 시트 PNG만 내려받는 경우에는 manifest.json이 없고 atlas가 그 역할을 대신합니다.
+async function writeOutput(
+  entries,
+  destinationPath,
+  {
+    container,
+    compressionLevel = null,
+    filename,
+    title,
+    packages,
+    bundleAtlas = false,
+    readItem,
+    signal,
+  } = {},
+) {
+  const name = OUTPUT_CONTAINERS[container] ? container : DEFAULT_CONTAINER;
+  const imageEntries = entries.filter((entry) => entry.item);
+  const metadataEntries = entries.filter((entry) => !entry.item);
+
+  if (name === 'sprite') {
+    signal?.throwIfAborted();
+    const sheet = await createSpriteSheet(
+      imageEntries.map((entry) => readEntryBuffer(entry, readItem)),
+    );
+    const imageName = bundleAtlas
+      ? 'sprite.png'
+      : filename || `sprite${OUTPUT_CONTAINERS.sprite.extension}`;
+    const atlas = buildSpriteAtlas(imageEntries, sheet, imageName);
+    if (bundleAtlas) {
+      const archive = await writeArchive(
+        [
+          { name: imageName, buffer: sheet.buffer },
+          {
+            name: 'sprite.json',
+            buffer: Buffer.from(`${JSON.stringify(atlas, null, 2)}\n`),
+          },
+          ...metadataEntries,
+        ],
+        destinationPath,
+        buildArchiveOptions('zip', compressionLevel),
+        signal,
+      );
+      return { ...archive, container: 'zip', ...OUTPUT_CONTAINERS.zip };
+    }
+    const output = await writeBuffer(sheet.buffer, destinationPath, signal);
+    return { ...output, container: name, ...OUTPUT_CONTAINERS.sprite, atlas };
+  }
+
+  if (name === 'html') {
+    const manifest = metadataEntries.find(
+      (entry) => entry.name === MANIFEST_FILENAME,
+    );
+    const page = renderGalleryPage(imageEntries, {
+      title,
+      packages,
+      manifest: manifest?.buffer.toString('utf8'),
+      readItem,
+    });
+    const output = await writeBuffer(
+      Buffer.from(page, 'utf8'),
+      destinationPath,
+      signal,
+    );
+    return { ...output, container: name, ...OUTPUT_CONTAINERS.html };
+  }
+
+  const archive = await writeArchive(
+    entries,
+    destinationPath,
+    buildArchiveOptions(name, compressionLevel),
+    signal,
+    readItem,
+  );
+  return { ...archive, container: name, ...OUTPUT_CONTAINERS[name] };
+}
+
+module.exports = {
+  OUTPUT_CONTAINERS,
+  DEFAULT_CONTAINER,
+  getOutputContainer,
+  normalizeContainerName,
+  normalizeCompressionLevel,
+  readEntryBuffer,
+  writeOutput,
+};
@@ -0,0 +1,236 @@
+'use strict';
+
+const {
+  applyResize,
+  extractFirstFrame,
+  readImageInfo,
+} = require('./imageProcessor');
+const { formatBytes } = require('./utils');
+
+const QUALITY_STEPS = [null, 90, 80, 70, 60, 50, 40, 30, 20];
+const DEFAULT_STICKER_EMOJI = '🙂';
+
+const EXPORT_PRESETS = {
+  discord: {
+    label: 'Discord 이모지',
+    size: 128,
+    maxBytes: 256 * 1024,
+    staticFormat: 'png',
+    animatedFormat: 'gif',
+    directory: 'discord',
+    name: {
+      minLength: 2,
+      maxLength: 32,
+      lowercase: false,
+      invalidPattern: /[^A-Za-z0-9_]+/g,
+    },
+  },
+  slack: {
+    label: 'Slack 이모지',
+    size: 128,
+    maxBytes: 128 * 1024,
+    staticFormat: 'png',
+    animatedFormat: 'gif',
+    directory: 'slack',
+    name: {
+      minLength: 1,
+      maxLength: 100,
+      lowercase: true,
+      invalidPattern: /[^a-z0-9_-]+/g,
+    },
+  },
+  telegram: {
+    label: 'Telegram 스티커',
+    size: 512,
+    maxBytes: 512 * 1024,
+    staticFormat: 'webp',
+    animatedFormat: null,
+    directory: 'telegram',
+    name: {
+      minLength: 1,
+      maxLength: 64,
+      lowercase: true,
+      invalidPattern: /[^a-z0-9_]+/g,
+    },
+  },
+};
+
+function getExportPreset(name) {
+  return Object.prototype.hasOwnProperty.call(EXPORT_PRESETS, name)
+    ? EXPORT_PRESETS[name]
+    : null;
+}
+
+async function applyPreset(buffer, ext, mimeType, presetName) {
+  const preset = getExportPreset(presetName);
+  const imageInfo = await readImageInfo(buffer);
+  const animated = Boolean(imageInfo?.animated);
+  const format =
+    animated && preset.animatedFormat
+      ? preset.animatedFormat
+      : preset.staticFormat;
+  const warnings = [];
+  const source =
+    animated && !preset.animatedFormat
+      ? {
+          buffer: await extractFirstFrame(buffer),
+          ext: 'png',
+          mimeType: 'image/png',
+        }
+      : { buffer, ext, mimeType };
+
+  let processed = null;
+  let appliedQuality = null;
+  for (const quality of QUALITY_STEPS) {
+    processed = await applyResize(
+      source.buffer,
+      source.ext,
+      source.mimeType,
+      preset.size,
+      { format, quality },
+    );
+    appliedQuality = quality;
+    if (!processed.resized || processed.buffer.length <= preset.maxBytes) {
+      break;
+    }
+  }
+
+  if (!processed.resized) {
+    warnings.push(`${preset.label} 형식으로 변환하지 못했습니다.`);
+  }
+  if (animated && !preset.animatedFormat) {
+    warnings.push('애니메이션은 지원되지 않아 첫 프레임만 저장했습니다.');
+  }
+  if (processed.buffer.length > preset.maxBytes) {
+    warnings.push(
+      `파일 크기 ${formatBytes(processed.buffer.length)}가 제한 ${formatBytes(
+        preset.maxBytes,
+      )}를 넘습니다.`,
+    );
+  }
+
+  return {
+    ...processed,
+    quality: appliedQuality,
+    warnings,
+  };
+}
+
+function buildEmojiName(title, fallback, rules) {
+  let name = String(title || '').normalize('NFKD');
+  if (rules.lowercase) {
+    name = name.toLowerCase();
+  }
+  name = name
+    .replace(/\s+/g, '_')
+    .replace(rules.invalidPattern, '')
+    .replace(/_+/g, '_')
+    .replace(/^[_-]+|[_-]+$/g, '')
+    .slice(0, rules.maxLength);
+  return name.length >= rules.minLength && /[a-z]/i.test(name)
+    ? name
+    : fallback;
+}
+
+function assignEmojiNames(items, preset, packageId) {
+  const used = new Set();
+  return items.map((item, index) => {
+    const paddedSort = String(item.sort || index + 1).padStart(2, '0');
+    const fallback = `dccon_${packageId || 'pack'}_${paddedSort}`.slice(
+      -preset.name.maxLength,
+    );
+    const base = buildEmojiName(item.title, fallback, preset.name);
+
+    let candidate = base;
+    let counter = 2;
+    while (used.has(candidate)) {
+      const suffix = `_${counter}`;
+      candidate = `${base.slice(0, preset.name.maxLength - suffix.length)}${suffix}`;
+      counter += 1;
+    }
+    used.add(candidate);
+    return candidate;
+  });
+}
+
+function buildDiscordManifest(entries, context) {
+  return JSON.stringify(
+    {
+      platform: 'discord',
+      pack: context.title,
+      emojis: entries.map((entry) => ({
+        name: entry.emojiName,
+        file: entry.file,
+        animated: entry.animated,
+      })),
+    },
+    null,
+    2,
+  );
+}
+
+function buildSlackManifest(entries, context) {
+  const lines = [`title: ${JSON.stringify(context.title)}`, 'emojis:'];
+  entries.forEach((entry) => {
+    lines.push(`  - name: ${entry.emojiName}`);
+    lines.push(`    src: ${entry.file}`);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+function buildTelegramManifest(entries, context) {
+  return JSON.stringify(
+    {
+      platform: 'telegram',
+      title: context.title,
+      name: `dccon_${context.packageId || 'pack'}`,
+      sticker_format: 'static',
+      stickers: entries.map((entry) => ({
+        file: entry.file,
+        emoji_list: [DEFAULT_STICKER_EMOJI],
+      })),
+    },
+    null,
+    2,
+  );
+}
+
+const MANIFEST_BUILDERS = {
+  discord: { filename: 'emojis.json', build: buildDiscordManifest },
+  slack: { filename: 'emojipacks.yaml', build: buildSlackManifest },
+  telegram: { filename: 'stickers.json', build: buildTelegramManifest },
+};
+
+function buildPresetEntries(items, presetName, { title, packageId } = {}) {
+  const preset = getExportPreset(presetName);
+  const names = assignEmojiNames(items, preset, packageId);
+  const context = { title: title || `dccon_${packageId || 'pack'}`, packageId };
+
+  const described = items.map((item, index) => ({
+    emojiName: names[index],
+    file: `${names[index]}.${item.ext || 'png'}`,
+    animated: Boolean(item.animated),
+    buffer: item.buffer,
+    item,
+  }));
+
+  const manifest = MANIFEST_BUILDERS[presetName];
+  return [
+    ...described.map((entry) => ({
+      name: `${preset.directory}/${entry.file}`,
+      buffer: entry.buffer,
+      item: entry.item,
+    })),
+    {
+      name: `${preset.directory}/${manifest.filename}`,
+      buffer: Buffer.from(manifest.build(described, context), 'utf8'),
+    },
+  ];
+}
+
+module.exports = {
+  EXPORT_PRESETS,
+  getExportPreset,
+  applyPreset,
+  buildPresetEntries,
+};
@@ -0,0 +1,88 @@
+'use strict';
+
+const { escapeHtml } = require('./utils');
+
+const PAGE_STYLE = `
+    body { font-family: sans-serif; margin: 0; background: #0f172a; color: #e2e8f0; }
+    main { max-width: 960px; margin: 0 auto; padding: 2rem 1.25rem 3rem; }
+    h1 { margin: 0 0 0.35rem; font-size: 1.6rem; }
+    .meta { margin: 0; color: #94a3b8; font-size: 0.9rem; }
+    .download { display: inline-block; margin: 1.25rem 0 1.75rem; padding: 0.75rem 1.4rem; border-radius: 999px; background: #3b82f6; color: #fff; font-weight: 600; text-decoration: none; }
+    .download.disabled { background: #334155; color: #94a3b8; pointer-events: none; }
+    ul { list-style: none; margin: 0; padding: 0; display: grid; grid-template-columns: repeat(auto-fill, minmax(120px, 1fr)); gap: 0.9rem; }
+    li { padding: 0.6rem; border-radius: 14px; background: rgba(30, 41, 59, 0.8); text-align: center; }
+    li img { width: 96px; height: 96px; object-fit: contain; }
+    li span { display: block; margin-top: 0.35rem; font-size: 0.8rem; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+`;
+
+function formatDateTime(value) {
+  return new Date(value).toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' });
+}
+
+function renderDocument(title, body) {
+  return `<!doctype html>
+<html lang="ko">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <meta name="robots" content="noindex" />
+  <title>${escapeHtml(title)}</title>
+  <style>${PAGE_STYLE}  </style>
+</head>
+<body>
+  <main>
+${body}
+  </main>
+</body>
+</html>
+`;
+}
+
+function renderSharePage(shared) {
+  const exhausted = shared.downloadsRemaining === 0;
+  const limits = [`${formatDateTime(shared.expiresAt)}까지`];
+  if (shared.downloadsRemaining !== null) {
+    limits.push(`남은 다운로드 ${shared.downloadsRemaining}회`);
+  }
+
+  const items = shared.items
+    .map(
+      (item) => `      <li>
+        <a href="${escapeHtml(item.url)}"><img src="${escapeHtml(item.thumbnailUrl)}" alt="${escapeHtml(item.title)}" loading="lazy" /></a>
+        <span title="${escapeHtml(item.title)}">${escapeHtml(item.title || `콘 ${item.sort}`)}</span>
+      </li>`,
+    )
+    .join('\n');
+
+  return renderDocument(
+    shared.title,
+    `    <h1>${escapeHtml(shared.title)}</h1>
+    <p class="meta">${escapeHtml(
+      [shared.seller, `${shared.itemCount}개`, shared.archive.sizeLabel]
+        .filter(Boolean)
+        .join(' · '),
+    )}</p>
+    <p class="meta">${escapeHtml(limits.join(' · '))}</p>
+    <a class="download${exhausted ? ' disabled' : ''}" href="${escapeHtml(shared.archive.url)}">${
+      exhausted
+        ? '다운로드 횟수를 모두 사용했습니다'
+        : `${shared.archive.label} 다운로드`
+    }</a>
+    <ul>
+${items}
+    </ul>`,
+  );
+}
+
+function renderShareErrorPage(message) {
+  return renderDocument(
+    '공유 링크',
+    `    <h1>공유 링크를 열 수 없습니다</h1>
+    <p class="meta">${escapeHtml(message)}</p>`,
+  );
+}
+
+module.exports = {
+  renderSharePage,
+  renderShareErrorPage,
+};
@@ -0,0 +1,147 @@
+'use strict';
+
+const { reencodeImage } = require('./imageProcessor');
+const { formatBytes } = require('./utils');
+
+const MIN_MAX_BYTES = 1024;
+const MAX_MAX_BYTES = 20 * 1024 * 1024;
+const QUALITY_STEPS = [90, 80, 70, 60, 50, 40, 30, 20];
+const COLOUR_STEPS = [128, 64, 32, 16, 8];
+const FRAME_STEPS = [2, 3, 4];
+const PALETTE_FORMATS = new Set(['png', 'gif']);
+const UNIT_BYTES = { b: 1, k: 1024, kb: 1024, m: 1024 * 1024, mb: 1024 * 1024 };
+
+function normalizeMaxBytesOption(value) {
+  let bytes = null;
+  if (typeof value === 'number') {
+    bytes = value;
+  } else if (typeof value === 'string') {
+    const match = value
+      .trim()
+      .toLowerCase()
+      .match(/^(\d+(?:\.\d+)?)\s*(b|kb?|mb?)?$/);
+    bytes = match ? Number(match[1]) * UNIT_BYTES[match[2] || 'b'] : null;
+  }
+  if (!Number.isFinite(bytes) || bytes < MIN_MAX_BYTES) {
+    return null;
+  }
+  return Math.min(MAX_MAX_BYTES, Math.round(bytes));
+}
+
+// 화질 손실이 적은 순서로 시도합니다: 무손실 재압축 → 품질 낮추기 → 색 수 줄이기 → 프레임 줄이기.
+function buildBudgetStages(format, frames) {
+  const quality = QUALITY_STEPS[QUALITY_STEPS.length - 1];
+  const palette = PALETTE_FORMATS.has(format);
+  const colours = palette ? COLOUR_STEPS[COLOUR_STEPS.length - 1] : null;
+  return [
+    [{ lossless: true }],
+    QUALITY_STEPS.map((value) => ({ quality: value })),
+    palette ? COLOUR_STEPS.map((value) => ({ quality, colours: value })) : [],
+    FRAME_STEPS.filter(
+      (step) => frames > 1 && Math.ceil(frames / step) > 1,
+    ).map((frameStep) => ({ quality, colours, frameStep })),
+  ].filter((stage) => stage.length);
+}
+
+function describeSteps(settings) {
+  if (settings.lossless) {
+    return [{ type: 'lossless' }];
+  }
+  return [
+    { type: 'quality', value: settings.quality },
+    ...(settings.colours ? [{ type: 'colours', value: settings.colours }] : []),
+    ...(settings.frameStep
+      ? [{ type: 'frames', value: settings.frameStep }]
+      : []),
+  ];
+}
+
+function resolveBudgetFormat(processed) {
+  // APNG는 sharp가 첫 프레임만 읽으므로 다시 압축하면 애니메이션이 사라집니다.
+  if (processed.mimeType === 'image/apng') {
+    return null;
+  }
+  const ext = (processed.ext || '').toLowerCase();
+  return ext === 'jpeg' ? 'jpg' : ext;
+}
+
+// 단계마다 가장 센 설정으로 먼저 확인하고, 제한 안에 들어오면 그 단계 안에서 가장 약한 설정을 이분 탐색합니다.
+async function applySizeBudget(processed, maxBytes) {
+  const originalSize = processed.buffer.length;
+  const budget = {
+    maxBytes,
+    originalSize,
+    finalSize: originalSize,
+    steps: [],
+    fits: originalSize <= maxBytes,
+  };
+  if (budget.fits) {
+    return { ...processed, budget };
+  }
+
+  const format = resolveBudgetFormat(processed);
+  let best = { buffer: processed.buffer, frames: processed.frames, steps: [] };
+  const attempt = async (settings) => {
+    let encoded = null;
+    try {
+      encoded = await reencodeImage(processed.buffer, format, settings);
+    } catch (error) {
+      console.warn('용량 맞추기 실패:', error.message);
+    }
+    if (encoded && encoded.buffer.length < best.buffer.length) {
+      best = { ...encoded, steps: describeSteps(settings) };
+    }
+    return encoded && encoded.buffer.length <= maxBytes
+      ? { ...encoded, steps: describeSteps(settings) }
+      : null;
+  };
+
+  const stages = format ? buildBudgetStages(format, processed.frames) : [];
+  for (const stage of stages) {
+    let fitted = await attempt(stage[stage.length - 1]);
+    if (!fitted) {
+      continue;
+    }
+    let low = 0;
+    let high = stage.length - 1;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      const result = await attempt(stage[middle]);
+      if (result) {
+        fitted = result;
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+    best = fitted;
+    break;
+  }
+
+  budget.finalSize = best.buffer.length;
+  budget.steps = best.steps;
+  budget.fits = budget.finalSize <= maxBytes;
+  const warnings = [...(processed.warnings || [])];
+  if (!format) {
+    warnings.push('APNG는 다시 압축할 수 없어 용량을 줄이지 못했습니다.');
+  } else if (!budget.fits) {
+    warnings.push(
+      `파일 크기 ${formatBytes(budget.finalSize)}를 제한 ${formatBytes(
+        maxBytes,
+      )} 안으로 줄이지 못했습니다.`,
+    );
+  }
+  return {
+    ...processed,
+    buffer: best.buffer,
+    frames: best.frames || processed.frames,
+    animated: processed.animated && (best.frames || processed.frames) > 1,
+    warnings,
+    budget,
+  };
+}
+
+module.exports = {
+  normalizeMaxBytesOption,
+  applySizeBudget,
+};
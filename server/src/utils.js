@@ -79,16 +79,76 @@ function formatBytes(bytes) {
   }`;
 }
 
-function buildArchiveFilename(title, packageId) {
-  const safeTitle = sanitizeFilename(title);
-  const suffix = packageId ? `_${packageId}` : '';
-  return `${safeTitle || 'dccon'}${suffix}.zip`;
+function claimUniqueName(name, usedNames) {
+  let candidate = name;
+  let counter = 2;
+  while (usedNames.has(candidate.toLowerCase())) {
+    candidate = `${name} (${counter})`;
+    counter += 1;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+function parsePositiveInteger(value, fallback) {
+  const numeric = Number.parseInt(value, 10);
+  return Number.isFinite(numeric) && numeric > 0 ? numeric : fallback;
+}
+
+function parseNonNegativeInteger(value, fallback) {
+  const numeric = Number.parseInt(value, 10);
+  return Number.isFinite(numeric) && numeric >= 0 ? numeric : fallback;
+}
+
+function buildPublicUrl(pathname, req) {
+  const base =
+    process.env.PUBLIC_BASE_URL ||
+    (req
+      ? `${req.protocol}://${req.get('host')}`
+      : `http://localhost:${process.env.PORT || 4000}`);
+  return `${base.replace(/\/$/, '')}${pathname}`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+async function mapWithConcurrency(values, limit, mapper) {
+  const results = new Array(values.length);
+  const workerCount = Math.max(1, Math.min(limit || 1, values.length));
+  let nextIndex = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && nextIndex < values.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      try {
+        results[index] = await mapper(values[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
 }
 
 module.exports = {
   extractPackageId,
   sanitizeFilename,
   formatBytes,
-  buildArchiveFilename,
+  claimUniqueName,
+  parsePositiveInteger,
+  parseNonNegativeInteger,
+  mapWithConcurrency,
+  buildPublicUrl,
+  escapeHtml,
   FILENAME_SANITIZE_REGEX,
 };
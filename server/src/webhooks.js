@@ -0,0 +1,279 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { nanoid } = require('nanoid');
+const { createWebhookSecret } = require('./auth');
+const { parsePositiveInteger } = require('./utils');
+
+const SETTINGS_FILENAME = 'webhooks.json';
+const MAX_WEBHOOK_URL_LENGTH = 2048;
+const WEBHOOK_TIMEOUT_MS = parsePositiveInteger(
+  process.env.WEBHOOK_TIMEOUT_MS,
+  10000,
+);
+const WEBHOOK_MAX_ATTEMPTS = parsePositiveInteger(
+  process.env.WEBHOOK_MAX_ATTEMPTS,
+  5,
+);
+const WEBHOOK_RETRY_BASE_MS = parsePositiveInteger(
+  process.env.WEBHOOK_RETRY_BASE_MS,
+  10000,
+);
+const WEBHOOK_RETRY_MAX_MS = 1000 * 60 * 10;
+const ALLOW_PRIVATE_TARGETS = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+const settingsPath =
+  process.env.JOB_STORE === 'memory'
+    ? null
+    : path.join(
+        path.resolve(
+          process.env.DATA_DIR || path.join(__dirname, '..', 'data'),
+        ),
+        SETTINGS_FILENAME,
+      );
+const settings = loadSettings();
+
+function loadSettings() {
+  if (!settingsPath) {
+    return new Map();
+  }
+  try {
+    return new Map(Object.entries(JSON.parse(fs.readFileSync(settingsPath))));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('웹훅 설정을 불러오지 못했습니다:', error);
+    }
+    return new Map();
+  }
+}
+
+function saveSettings() {
+  if (!settingsPath) {
+    return;
+  }
+  try {
+    fs.mkdirSync(path.dirname(settingsPath), { recursive: true });
+    const temporaryPath = `${settingsPath}.tmp`;
+    fs.writeFileSync(
+      temporaryPath,
+      JSON.stringify(Object.fromEntries(settings), null, 2),
+    );
+    fs.renameSync(temporaryPath, settingsPath);
+  } catch (error) {
+    console.error('웹훅 설정을 저장하지 못했습니다:', error);
+  }
+}
+
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return true;
+  }
+  const version = net.isIP(host);
+  if (version === 4) {
+    const [a, b] = host.split('.').map(Number);
+    return (
+      a === 0 ||
+      a === 10 ||
+      a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168)
+    );
+  }
+  if (version === 6) {
+    return (
+      host === '::' ||
+      host === '::1' ||
+      /^f[cd]/.test(host) ||
+      /^fe[89ab]/.test(host) ||
+      host.startsWith('::ffff:')
+    );
+  }
+  return false;
+}
+
+// 사설 주소로 요청을 보내는 용도로 쓰이지 않도록 주소 형태만 검사합니다.
+// 도메인이 사설 IP로 풀리는 경우까지 막으려면 프록시나 방화벽에서 처리해야 합니다.
+function normalizeWebhookUrl(value) {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  };
+  if (typeof value !== 'string' || !value.trim()) {
+    throw fail('웹훅 URL을 입력해주세요.');
+  }
+  if (value.length > MAX_WEBHOOK_URL_LENGTH) {
+    throw fail('웹훅 URL이 너무 깁니다.');
+  }
+
+  let url;
+  try {
+    url = new URL(value.trim());
+  } catch (_error) {
+    throw fail('웹훅 URL 형식이 올바르지 않습니다.');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw fail('웹훅 URL은 http 또는 https 주소여야 합니다.');
+  }
+  if (url.username || url.password) {
+    throw fail('웹훅 URL에 계정 정보를 넣을 수 없습니다.');
+  }
+  if (!ALLOW_PRIVATE_TARGETS && isPrivateHost(url.hostname)) {
+    throw fail('내부 네트워크 주소로는 웹훅을 보낼 수 없습니다.');
+  }
+  return url.toString();
+}
+
+function getWebhookSetting(ownerId) {
+  const setting = settings.get(ownerId);
+  return {
+    url: setting?.url ?? null,
+    updatedAt: setting?.updatedAt ?? null,
+    secret: createWebhookSecret(ownerId),
+  };
+}
+
+function setWebhookSetting(ownerId, url) {
+  settings.set(ownerId, {
+    url: normalizeWebhookUrl(url),
+    updatedAt: new Date().toISOString(),
+  });
+  saveSettings();
+  return getWebhookSetting(ownerId);
+}
+
+function deleteWebhookSetting(ownerId) {
+  if (settings.delete(ownerId)) {
+    saveSettings();
+  }
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+  return `sha256=${crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex')}`;
+}
+
+function getRetryDelay(attempt, response) {
+  const retryAfter = Number.parseInt(response?.headers.get('retry-after'), 10);
+  const backoff = WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1);
+  return Math.min(
+    WEBHOOK_RETRY_MAX_MS,
+    Number.isFinite(retryAfter)
+      ? Math.max(backoff, retryAfter * 1000)
+      : backoff,
+  );
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+async function attemptDelivery(delivery, { secret, body, onUpdate }) {
+  const attempt = delivery.attempts.length + 1;
+  const startedAt = Date.now();
+  const timestamp = Math.floor(startedAt / 1000);
+  const record = {
+    attempt,
+    at: new Date(startedAt).toISOString(),
+    statusCode: null,
+    error: null,
+    durationMs: 0,
+  };
+
+  let response = null;
+  try {
+    response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'dccon-exporter-webhook',
+        'X-Dccon-Event': delivery.event,
+        'X-Dccon-Delivery': delivery.id,
+        'X-Dccon-Timestamp': String(timestamp),
+        'X-Dccon-Signature': signWebhookPayload(secret, timestamp, body),
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    record.statusCode = response.status;
+    await response.body?.cancel();
+    if (!response.ok) {
+      record.error = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    record.error =
+      error?.name === 'TimeoutError'
+        ? `${WEBHOOK_TIMEOUT_MS}ms 안에 응답이 없습니다.`
+        : error?.cause?.message || error?.message || '전송하지 못했습니다.';
+  }
+  record.durationMs = Date.now() - startedAt;
+  delivery.attempts.push(record);
+  delivery.lastError = record.error;
+
+  if (!record.error) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = record.at;
+    delivery.nextAttemptAt = null;
+  } else if (
+    attempt < WEBHOOK_MAX_ATTEMPTS &&
+    (!response || isRetryableStatus(response.status))
+  ) {
+    const delay = getRetryDelay(attempt, response);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    setTimeout(
+      () => attemptDelivery(delivery, { secret, body, onUpdate }),
+      delay,
+    ).unref();
+  } else {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+  }
+  onUpdate(delivery);
+}
+
+function sendWebhook({ ownerId, url, event, data, onUpdate = () => {} }) {
+  const delivery = {
+    id: nanoid(12),
+    event,
+    url,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    deliveredAt: null,
+    nextAttemptAt: null,
+    lastError: null,
+    attempts: [],
+  };
+  const body = JSON.stringify({
+    id: delivery.id,
+    event,
+    createdAt: delivery.createdAt,
+    data,
+  });
+
+  setImmediate(() =>
+    attemptDelivery(delivery, {
+      secret: createWebhookSecret(ownerId),
+      body,
+      onUpdate,
+    }),
+  );
+  return delivery;
+}
+
+module.exports = {
+  normalizeWebhookUrl,
+  getWebhookSetting,
+  setWebhookSetting,
+  deleteWebhookSetting,
+  signWebhookPayload,
+  sendWebhook,
+};
@@ -0,0 +1,253 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { after, before, test } = require('node:test');
+const sharp = require('sharp');
+
+const { readZipEntries, startServer } = require('./helpers');
+
+let server;
+let token;
+let headers;
+
+function api(path, options = {}) {
+  return fetch(`${server.baseUrl}${path}`, {
+    ...options,
+    headers: { ...headers, ...options.headers },
+  });
+}
+
+const FINISHED_STATUSES = [
+  'completed',
+  'completed_with_errors',
+  'failed',
+  'cancelled',
+];
+
+async function waitForJob(jobId) {
+  for (let attempt = 0; attempt < 200; attempt += 1) {
+    const job = await (await api(`/api/jobs/${jobId}`)).json();
+    if (FINISHED_STATUSES.includes(job.status)) {
+      return job;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error('작업이 끝나지 않았습니다.');
+}
+
+async function readEvents(response, isLast) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  const events = [];
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) {
+      return events;
+    }
+    buffer += value;
+    let end = buffer.indexOf('\n\n');
+    while (end !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      end = buffer.indexOf('\n\n');
+      const type = block.match(/^event: (.+)$/m)?.[1];
+      const data = block.match(/^data: (.+)$/m)?.[1];
+      if (!type || !data) {
+        continue;
+      }
+      events.push({ type, data: JSON.parse(data) });
+      if (isLast(events.at(-1))) {
+        await reader.cancel();
+        return events;
+      }
+    }
+  }
+}
+
+before(async () => {
+  server = await startServer({ MOCK_UPSTREAM_LATENCY_MS: '20' });
+  const response = await fetch(`${server.baseUrl}/api/session`, {
+    method: 'POST',
+  });
+  assert.equal(response.status, 201);
+  ({ token } = await response.json());
+  headers = { Authorization: `Bearer ${token}` };
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('작업을 만들고 크기를 바꾼 ZIP을 내려받는다', async () => {
+  const created = await api('/api/jobs', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ url: '100001', resize: 48 }),
+  });
+  assert.equal(created.status, 201);
+  const job = await waitForJob((await created.json()).id);
+  assert.equal(job.status, 'completed', job.error);
+  assert.equal(job.itemCount, 5);
+
+  const item = await api(`/api/jobs/${job.id}/items/${job.items[0].idx}`);
+  assert.equal(item.status, 200);
+  const { width, height } = await sharp(
+    Buffer.from(await item.arrayBuffer()),
+  ).metadata();
+  assert.equal(Math.max(width, height), 48);
+
+  const download = await api(`/api/jobs/${job.id}/download`);
+  assert.equal(download.status, 200);
+  const entries = readZipEntries(Buffer.from(await download.arrayBuffer()));
+  assert.ok(entries.has('manifest.json'));
+  assert.equal(entries.size, 6);
+
+  const thumbnail = await api(
+    `/api/jobs/${job.id}/items/${job.items[1].idx}/thumbnail`,
+  );
+  assert.equal(thumbnail.status, 200);
+
+  const exported = await api(`/api/jobs/${job.id}/export`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ items: [job.items[2].idx, job.items[0].idx] }),
+  });
+  assert.equal(exported.status, 200);
+  const picked = readZipEntries(Buffer.from(await exported.arrayBuffer()));
+  assert.equal(picked.size, 3);
+});
+
+test('잘못된 요청은 400으로 거절한다', async () => {
+  const bodies = [
+    { url: '' },
+    { url: '100001', format: 'jpeg' },
+    { url: '100001', preset: 'line' },
+    { url: '100001', maxBytes: 'tiny' },
+    { url: '100001', container: 'rar' },
+    { url: '100001', compression: 12 },
+    { url: '100001', resize: 'abc' },
+    { url: '100001', resize: -5 },
+    { url: '100001', sizes: '64,abc' },
+    { url: '100001', quality: 150 },
+  ];
+  for (const body of bodies) {
+    const response = await api('/api/jobs', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    assert.equal(response.status, 400, JSON.stringify(body));
+    assert.ok((await response.json()).error);
+  }
+});
+
+test('작업 진행 상황을 SSE로 받는다', async () => {
+  const stream = await fetch(
+    `${server.baseUrl}/api/jobs/stream?access_token=${token}`,
+  );
+  assert.equal(stream.status, 200);
+  assert.match(stream.headers.get('content-type'), /^text\/event-stream/);
+
+  const created = await api('/api/jobs', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ url: '100002' }),
+  });
+  const { id } = await created.json();
+  const events = await readEvents(
+    stream,
+    ({ type, data }) => type === 'completed' && data.id === id,
+  );
+  assert.equal(events[0].type, 'snapshot');
+  assert.ok(Array.isArray(events[0].data));
+  const types = events
+    .filter(({ data }) => data.id === id)
+    .map((event) => event.type);
+  assert.equal(types[0], 'created');
+  assert.ok(types.includes('progress'));
+
+  const unauthorized = await fetch(`${server.baseUrl}/api/jobs/stream`);
+  assert.equal(unauthorized.status, 401);
+  const badToken = await fetch(
+    `${server.baseUrl}/api/jobs/stream?access_token=nope`,
+  );
+  assert.equal(badToken.status, 401);
+});
+
+test('작업을 취소하고 삭제한다', async () => {
+  const createJob = async (url) => {
+    const response = await api('/api/jobs', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url }),
+    });
+    return response.json();
+  };
+  const running = await createJob('100001');
+  const queued = await createJob('100002');
+  assert.equal(running.status, 'processing');
+  assert.equal(queued.status, 'queued');
+
+  const busy = await api(`/api/jobs/${running.id}`, { method: 'DELETE' });
+  assert.equal(busy.status, 409);
+
+  const cancelled = await api(`/api/jobs/${queued.id}/cancel`, {
+    method: 'POST',
+  });
+  assert.equal((await cancelled.json()).status, 'cancelled');
+  const again = await api(`/api/jobs/${queued.id}/cancel`, { method: 'POST' });
+  assert.equal(again.status, 409);
+
+  const deleted = await api(`/api/jobs/${queued.id}`, { method: 'DELETE' });
+  assert.equal(deleted.status, 204);
+  assert.equal((await api(`/api/jobs/${queued.id}`)).status, 404);
+
+  await api(`/api/jobs/${running.id}/cancel`, { method: 'POST' });
+  assert.equal((await waitForJob(running.id)).status, 'cancelled');
+});
+
+test('공유 링크는 횟수, 기간, 해제에 따라 막힌다', async () => {
+  const created = await api('/api/jobs', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ url: '100001' }),
+  });
+  const job = await waitForJob((await created.json()).id);
+  const share = async (body) => {
+    const response = await api(`/api/jobs/${job.id}/shares`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, share: await response.json() };
+  };
+  const open = (path) => fetch(`${server.baseUrl}${path}`);
+
+  const once = (await share({ maxDownloads: 1 })).share;
+  assert.equal(once.active, true);
+  const shared = await (
+    await open(once.path.replace('/share', '/api/share'))
+  ).json();
+  assert.equal(shared.items.length, 5);
+  const first = await open(once.downloadPath);
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('referrer-policy'), 'no-referrer');
+  const entries = readZipEntries(Buffer.from(await first.arrayBuffer()));
+  assert.equal(entries.size, 6);
+  assert.equal((await open(once.downloadPath)).status, 410);
+
+  const brief = (await share({ expiresIn: 1 })).share;
+  await new Promise((resolve) => setTimeout(resolve, 1100));
+  assert.equal((await open(brief.downloadPath)).status, 410);
+  assert.equal((await open(brief.path)).status, 410);
+
+  const revoked = (await share({})).share;
+  const revoke = await api(`/api/jobs/${job.id}/shares/${revoked.id}`, {
+    method: 'DELETE',
+  });
+  assert.equal((await revoke.json()).active, false);
+  assert.equal((await open(revoked.downloadPath)).status, 410);
+
+  assert.equal((await share({ maxDownloads: 0 })).status, 400);
+  assert.equal((await share({ expiresIn: 'soon' })).status, 400);
+});
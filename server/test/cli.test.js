@@ -0,0 +1,72 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, test } = require('node:test');
+
+const { startMockUpstream } = require('../src/mockUpstream');
+
+const CLI_PATH = path.join(__dirname, '../bin/dccon-export.js');
+
+let mock;
+let workDir;
+
+function runCli(args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [CLI_PATH, ...args], {
+      env: {
+        ...process.env,
+        UPSTREAM_BASE_URL: mock.baseUrl,
+        UPSTREAM_IMAGE_ENDPOINT: mock.imageEndpoint,
+      },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk;
+    });
+    child.once('error', reject);
+    child.once('exit', (code) => resolve({ code, stdout, stderr }));
+  });
+}
+
+before(async () => {
+  mock = await startMockUpstream();
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dccon-cli-'));
+});
+
+after(async () => {
+  await mock.close();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('저장에 성공하면 0으로 끝나고 경로를 출력한다', async () => {
+  const { code, stdout } = await runCli([
+    '100001',
+    '--out-dir',
+    workDir,
+    '--max-bytes',
+    '256KB',
+    '--silent',
+  ]);
+  assert.equal(code, 0);
+  const [archivePath] = stdout.trim().split('\n');
+  assert.ok(archivePath.endsWith('.zip'));
+  assert.ok(fs.existsSync(archivePath));
+});
+
+test('잘못된 인자는 2, 받지 못한 패키지는 1로 끝난다', async () => {
+  const usage = await runCli(['100001', '--max-bytes', '10']);
+  assert.equal(usage.code, 2);
+  assert.match(usage.stderr, /--max-bytes 값이 올바르지 않습니다: 10/);
+
+  const missing = await runCli(['999999', '--out-dir', workDir, '--silent']);
+  assert.equal(missing.code, 1);
+});
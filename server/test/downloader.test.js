@@ -0,0 +1,237 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, test } = require('node:test');
+const sharp = require('sharp');
+
+const { startMockUpstream } = require('../src/mockUpstream');
+const {
+  configureUpstream,
+  createItemArchive,
+  downloadDcConPackage,
+} = require('../src/dcconDownloader');
+const { assertJobOptions } = require('../src/jobOptions');
+const { normalizeMaxBytesOption } = require('../src/sizeBudget');
+const { readZipEntries } = require('./helpers');
+
+let mock;
+let workDir;
+
+before(async () => {
+  mock = await startMockUpstream();
+  configureUpstream({
+    baseUrl: mock.baseUrl,
+    imageEndpoint: mock.imageEndpoint,
+  });
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dccon-test-'));
+});
+
+after(async () => {
+  await mock.close();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('세션부터 ZIP까지 모의 업스트림만으로 끝난다', async () => {
+  const stages = [];
+  const result = await downloadDcConPackage({
+    packageId: '100001',
+    archivePath: path.join(workDir, 'static.zip'),
+    options: { resize: 64, format: 'png' },
+    onProgress: ({ stage }) => {
+      if (stages[stages.length - 1] !== stage) {
+        stages.push(stage);
+      }
+    },
+  });
+
+  assert.deepEqual(stages, [
+    'session',
+    'detail',
+    'image',
+    'archive',
+    'complete',
+  ]);
+  assert.equal(result.info.title, '테스트 디시콘');
+  assert.equal(result.items.length, 5);
+  assert.deepEqual(result.failedItems, []);
+
+  const entries = readZipEntries(fs.readFileSync(result.zip.path));
+  assert.ok(entries.has('manifest.json'));
+  const images = [...entries.keys()].filter((name) => name.endsWith('.png'));
+  assert.equal(images.length, 5);
+  for (const name of images) {
+    const { width, height } = await sharp(entries.get(name)).metadata();
+    assert.equal(Math.max(width, height), 64, name);
+  }
+});
+
+test('애니메이션 이미지는 크기를 바꿔도 프레임을 유지한다', async () => {
+  const result = await downloadDcConPackage({
+    packageId: '100002',
+    archivePath: path.join(workDir, 'animated.zip'),
+    options: { resize: 100 },
+  });
+
+  const entries = readZipEntries(fs.readFileSync(result.zip.path));
+  const gif = [...entries.keys()].find((name) => name.endsWith('.gif'));
+  const metadata = await sharp(entries.get(gif), { pages: -1 }).metadata();
+  assert.equal(metadata.width, 100);
+  assert.equal(metadata.pages, 3);
+});
+
+test('itemStore를 주면 이미지를 저장소로 넘기고 버퍼는 들고 있지 않는다', async () => {
+  const stored = new Map();
+  const result = await downloadDcConPackage({
+    packageId: '100001',
+    archivePath: path.join(workDir, 'stored.zip'),
+    options: { sizes: '32,original' },
+    itemStore: {
+      save: (item, index) => {
+        item.storageKey = `${index}.${item.ext}`;
+        stored.set(item.storageKey, item.buffer);
+        item.variants.forEach((variant) => {
+          variant.storageKey = `${index}_${variant.label}.${variant.ext}`;
+          stored.set(variant.storageKey, variant.buffer);
+        });
+      },
+      read: (key) => stored.get(key),
+    },
+  });
+
+  assert.equal(stored.size, 15);
+  for (const item of result.items) {
+    assert.equal(item.buffer, undefined);
+    assert.ok(item.variants.every((variant) => !variant.buffer));
+  }
+  const entries = readZipEntries(fs.readFileSync(result.zip.path));
+  const images = [...entries.keys()].filter((name) => name !== 'manifest.json');
+  assert.equal(images.length, 10);
+  assert.ok(images.some((name) => name.startsWith('32/')));
+  assert.ok(images.some((name) => name.startsWith('original/')));
+});
+
+test('HTML 갤러리와 스프라이트 묶음에도 manifest가 들어간다', async () => {
+  const result = await downloadDcConPackage({
+    packageId: '100001',
+    archivePath: path.join(workDir, 'gallery.html'),
+    options: { container: 'html' },
+  });
+  const page = fs.readFileSync(result.zip.path, 'utf8');
+  const [, embedded] = page.match(
+    /<script type="application\/json" id="manifest">([\s\S]*?)<\/script>/,
+  );
+  assert.equal(JSON.parse(embedded).items.length, 5);
+
+  const bundle = await createItemArchive({
+    items: result.items,
+    packages: [
+      {
+        packageId: '100001',
+        info: result.info,
+        items: result.items,
+        failedItems: [],
+      },
+    ],
+    options: { container: 'sprite' },
+    title: result.info.title,
+    packageId: '100001',
+    archivePath: path.join(workDir, 'sprite.zip'),
+  });
+  const entries = readZipEntries(fs.readFileSync(bundle.path));
+  assert.deepEqual([...entries.keys()].sort(), [
+    'manifest.json',
+    'sprite.json',
+    'sprite.png',
+  ]);
+});
+
+test('메신저 프리셋은 규격에 맞춰 변환하고 전용 목록을 넣는다', async () => {
+  const discord = await downloadDcConPackage({
+    packageId: '100002',
+    archivePath: path.join(workDir, 'discord.zip'),
+    options: { preset: 'discord' },
+  });
+  const emojis = readZipEntries(fs.readFileSync(discord.zip.path));
+  assert.ok(emojis.has('discord/emojis.json'));
+  const gif = [...emojis.keys()].find((name) => name.endsWith('.gif'));
+  const animated = await sharp(emojis.get(gif), { pages: -1 }).metadata();
+  assert.equal(animated.width, 128);
+  assert.ok(animated.pages > 1);
+
+  const telegram = await downloadDcConPackage({
+    packageId: '100002',
+    archivePath: path.join(workDir, 'telegram.zip'),
+    options: { preset: 'telegram' },
+  });
+  const stickers = readZipEntries(fs.readFileSync(telegram.zip.path));
+  assert.ok(stickers.has('telegram/stickers.json'));
+  const webps = [...stickers.keys()].filter((name) => name.endsWith('.webp'));
+  assert.equal(webps.length, 3);
+  for (const name of webps) {
+    const metadata = await sharp(stickers.get(name), { pages: -1 }).metadata();
+    assert.equal(metadata.width, 512);
+    assert.equal(metadata.pages || 1, 1);
+  }
+  assert.ok(telegram.items.some((item) => item.warnings.length));
+
+  assert.throws(() => assertJobOptions({ preset: 'line' }), {
+    statusCode: 400,
+  });
+});
+
+test('가로세로 크기와 맞춤 방식, 여백 색을 따른다', async () => {
+  const result = await downloadDcConPackage({
+    packageId: '100001',
+    archivePath: path.join(workDir, 'padded.zip'),
+    options: {
+      resize: '64x32',
+      fit: 'contain',
+      background: '#ff0000',
+      format: 'png',
+    },
+  });
+  const entries = readZipEntries(fs.readFileSync(result.zip.path));
+  const png = [...entries.keys()].find((name) => name.endsWith('.png'));
+  const { data, info } = await sharp(entries.get(png))
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  assert.equal(info.width, 64);
+  assert.equal(info.height, 32);
+  assert.deepEqual([...data.subarray(0, 3)], [255, 0, 0]);
+
+  assert.throws(() => assertJobOptions({ fit: 'stretch' }), {
+    statusCode: 400,
+  });
+  assert.throws(() => assertJobOptions({ background: 'red' }), {
+    statusCode: 400,
+  });
+  assert.throws(() => assertJobOptions({ resize: '64x' }), {
+    statusCode: 400,
+  });
+});
+
+test('용량 제한에 맞춰 줄이고 못 맞추면 경고를 남긴다', async () => {
+  const result = await downloadDcConPackage({
+    packageId: '100002',
+    archivePath: path.join(workDir, 'budget.zip'),
+    options: { resize: 256, maxBytes: 2048 },
+  });
+  const png = result.items.find((item) => item.ext === 'png');
+  assert.equal(png.budget.fits, true);
+  assert.ok(png.budget.finalSize <= 2048);
+  assert.ok(png.budget.finalSize < png.budget.originalSize);
+  assert.ok(png.budget.steps.length);
+  assert.deepEqual(png.warnings, []);
+
+  const gif = result.items.find((item) => item.ext === 'gif');
+  assert.equal(gif.budget.fits, false);
+  assert.ok(gif.budget.steps.some((step) => step.type === 'frames'));
+  assert.match(gif.warnings.join('\n'), /줄이지 못했습니다/);
+
+  assert.equal(normalizeMaxBytesOption('256KB'), 256 * 1024);
+  assert.equal(normalizeMaxBytesOption('10'), null);
+  assert.equal(normalizeMaxBytesOption('tiny'), null);
+});
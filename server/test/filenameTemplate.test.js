@@ -0,0 +1,51 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const {
+  assertTemplateOptions,
+  createEntryNamer,
+  previewFilenames,
+  romanizeHangul,
+  validateTemplate,
+} = require('../src/filenameTemplate');
+
+test('템플릿대로 이름을 만들고 겹치는 이름에는 번호를 붙인다', () => {
+  const nameEntry = createEntryNamer({
+    template: '{sort:2}-{title}',
+    packageTitle: '테스트',
+    packageId: '100001',
+  });
+  assert.equal(
+    nameEntry({ sort: 1, title: '웃음', ext: 'png' }),
+    '01-웃음.png',
+  );
+  assert.equal(nameEntry({ sort: 2, title: 'A', ext: 'gif' }), '02-A.gif');
+
+  const sameName = createEntryNamer({ template: '{title}' });
+  assert.equal(sameName({ title: 'Hi', ext: 'png' }), 'Hi.png');
+  assert.equal(sameName({ title: 'hi', ext: 'png' }), 'hi_2.png');
+  assert.equal(romanizeHangul('디시콘'), 'disikon');
+});
+
+test('잘못된 템플릿은 400으로 거절한다', () => {
+  assert.equal(validateTemplate('{sort:10}_{title}', 'entry'), null);
+  for (const template of ['{sort:9999999999}_{title}', '{sort:0}', '{nope}']) {
+    assert.throws(
+      () => assertTemplateOptions({ nameTemplate: template }),
+      (error) => error.statusCode === 400,
+      template,
+    );
+  }
+  assert.throws(
+    () => assertTemplateOptions({ archiveTemplate: '{title}' }),
+    (error) => error.statusCode === 400,
+  );
+});
+
+test('미리보기는 자릿수가 너무 큰 템플릿도 오류로만 알린다', () => {
+  const preview = previewFilenames({ nameTemplate: '{sort:50000000}' });
+  assert.ok(preview.errors.nameTemplate);
+  assert.ok(preview.entries.every((entry) => entry.name.length < 200));
+});
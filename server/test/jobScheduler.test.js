@@ -0,0 +1,55 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const {
+  createJobScheduler,
+  normalizePriority,
+} = require('../src/jobScheduler');
+
+function drain(scheduler, canStart) {
+  const order = [];
+  let jobId = scheduler.next(canStart);
+  while (jobId) {
+    order.push(jobId);
+    jobId = scheduler.next(canStart);
+  }
+  return order;
+}
+
+test('세션을 돌아가며 꺼내고 높은 우선순위를 먼저 꺼낸다', () => {
+  const scheduler = createJobScheduler();
+  scheduler.enqueue('a1', 'a');
+  scheduler.enqueue('a2', 'a');
+  scheduler.enqueue('a3', 'a');
+  scheduler.enqueue('b1', 'b');
+  scheduler.enqueue('c1', 'c', 'low');
+  scheduler.enqueue('c2', 'c', 'high');
+
+  assert.equal(scheduler.countQueued('a'), 3);
+  assert.deepEqual(scheduler.estimate('b1', { concurrency: 1 }), {
+    position: 3,
+    startsInMs: 60000,
+  });
+  assert.deepEqual(drain(scheduler), ['c2', 'a1', 'b1', 'a2', 'a3', 'c1']);
+  assert.equal(scheduler.countQueued('a'), 0);
+});
+
+test('시작할 수 없는 세션은 건너뛰고 잘못된 우선순위는 거절한다', () => {
+  const scheduler = createJobScheduler();
+  scheduler.enqueue('a1', 'a');
+  scheduler.enqueue('b1', 'b');
+  scheduler.enqueue('a2', 'a');
+  scheduler.remove('a2');
+
+  assert.deepEqual(
+    drain(scheduler, (sessionId) => sessionId !== 'a'),
+    ['b1'],
+  );
+  assert.equal(scheduler.countQueued('a'), 1);
+
+  assert.equal(normalizePriority(' HIGH '), 'high');
+  assert.equal(normalizePriority('urgent'), null);
+  assert.equal(normalizePriority(1), null);
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { after, before, test } = require('node:test');
+
+const { startServer } = require('./helpers');
+
+let server;
+let headers;
+
+function createJob(url, auth = headers) {
+  return fetch(`${server.baseUrl}/api/jobs`, {
+    method: 'POST',
+    headers: { ...auth, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ url }),
+  });
+}
+
+async function waitForJob(jobId, auth) {
+  for (let attempt = 0; attempt < 200; attempt += 1) {
+    const response = await fetch(`${server.baseUrl}/api/jobs/${jobId}`, {
+      headers: auth,
+    });
+    const job = await response.json();
+    if (job.status !== 'queued' && job.status !== 'processing') {
+      return job;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error('작업이 끝나지 않았습니다.');
+}
+
+before(async () => {
+  server = await startServer({
+    QUOTA_CONCURRENT_JOBS: '1',
+    QUOTA_JOBS_PER_HOUR: '1',
+    API_KEYS: 'script:test-api-key',
+    MOCK_UPSTREAM_LATENCY_MS: '300',
+  });
+  const response = await fetch(`${server.baseUrl}/api/session`, {
+    method: 'POST',
+  });
+  const { token } = await response.json();
+  headers = { Authorization: `Bearer ${token}` };
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('동시 작업 한도를 넘으면 429와 Retry-After로 거절한다', async () => {
+  const first = await createJob('100001');
+  assert.equal(first.status, 201);
+
+  const second = await createJob('100002');
+  assert.equal(second.status, 429);
+  assert.ok(Number(second.headers.get('retry-after')) >= 1);
+  const body = await second.json();
+  assert.match(body.error, /동시에 진행할 수 있는 작업/);
+  assert.deepEqual(body.quota, { name: 'concurrentJobs', used: 1, limit: 1 });
+});
+
+test('인증 없이 부르면 401, API 키는 따로 한도를 센다', async () => {
+  assert.equal((await fetch(`${server.baseUrl}/api/jobs`)).status, 401);
+  const wrongKey = await fetch(`${server.baseUrl}/api/jobs`, {
+    headers: { 'X-API-Key': 'nope' },
+  });
+  assert.equal(wrongKey.status, 401);
+
+  const apiKey = { 'X-API-Key': 'test-api-key' };
+  const session = await (
+    await fetch(`${server.baseUrl}/api/session`, { headers: apiKey })
+  ).json();
+  assert.equal(session.type, 'apiKey');
+  assert.equal(session.name, 'script');
+  assert.deepEqual(session.quota.jobsPerHour, { used: 0, limit: 1 });
+
+  const first = await createJob('100002', apiKey);
+  assert.equal(first.status, 201);
+  await waitForJob((await first.json()).id, apiKey);
+
+  const second = await createJob('100002', apiKey);
+  assert.equal(second.status, 429);
+  assert.ok(Number(second.headers.get('retry-after')) > 3000);
+  assert.equal((await second.json()).quota.name, 'jobsPerHour');
+});